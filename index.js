@@ -23,6 +23,7 @@
 'use strict';
 
 var Europa = require('./src/Europa');
+require('./src/flavor/preset/default');
 require('./src/plugin/preset/default');
 
 module.exports = Europa;
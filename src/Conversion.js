@@ -24,8 +24,15 @@
 
 var Nevis = require('nevis/lite');
 
+var ReferenceManager = require('./reference/ReferenceManager');
 var Utilities = require('./util/Utilities');
 
+function getLeft(containers) {
+  return containers.reduce(function(left, container) {
+    return left + container.prefix;
+  }, '\n');
+}
+
 /**
  * Contains contextual information for a single conversion process.
  *
@@ -90,6 +97,16 @@ var Conversion = Nevis.extend(function(europa, options) {
    */
   this.buffer = '';
 
+  /**
+   * The stack of block containers (e.g. block quotes, list items) within which the buffer currently is, with the
+   * innermost container last.
+   *
+   * @public
+   * @type {Conversion~Container[]}
+   * @memberof Conversion#
+   */
+  this.containers = [];
+
   /**
    * The context for this {@link Conversion}.
    *
@@ -100,8 +117,19 @@ var Conversion = Nevis.extend(function(europa, options) {
   this.context = {};
 
   /**
-   * Whether the buffer is currently within a code block.
+   * The figure currently being converted, if any.
+   *
+   * @public
+   * @type {?Conversion~Figure}
+   * @memberof Conversion#
+   */
+  this.figure = null;
+
+  /**
+   * Whether the buffer is currently within a code span.
    *
+   * @deprecated Since code spans are output in full by {@link CodePlugin}, which no longer converts their contents,
+   * this is always <code>false</code> and will be removed in a future major release.
    * @public
    * @type {boolean}
    * @memberof Conversion#
@@ -138,6 +166,9 @@ var Conversion = Nevis.extend(function(europa, options) {
   /**
    * The start of the current line.
    *
+   * This is derived from the continuation prefixes of all open containers and should only be changed via
+   * {@link Conversion#openContainer} and {@link Conversion#closeContainer}.
+   *
    * @public
    * @type {string}
    * @memberof Conversion#
@@ -154,7 +185,7 @@ var Conversion = Nevis.extend(function(europa, options) {
   this.listDepth = 0;
 
   /**
-   * The one-based index for the current list item within the current list.
+   * The number to be used for the next list item within the current ordered list.
    *
    * @public
    * @type {number}
@@ -162,8 +193,46 @@ var Conversion = Nevis.extend(function(europa, options) {
    */
   this.listIndex = 1;
 
+  /**
+   * Whether the items within the current list are to be separated by blank lines.
+   *
+   * @public
+   * @type {boolean}
+   * @memberof Conversion#
+   */
+  this.listLoose = false;
+
+  /**
+   * Whether the items within the current ordered list are numbered in descending order.
+   *
+   * @public
+   * @type {boolean}
+   * @memberof Conversion#
+   */
+  this.listReversed = false;
+
+  /**
+   * The type of numbering used by the current ordered list (i.e. <code>1</code>, <code>a</code>, <code>A</code>,
+   * <code>i</code>, or <code>I</code>).
+   *
+   * @public
+   * @type {string}
+   * @memberof Conversion#
+   */
+  this.listType = '1';
+
+  /**
+   * The references for links and images.
+   *
+   * @public
+   * @type {ReferenceManager}
+   * @memberof Conversion#
+   */
+  this.references = new ReferenceManager(options);
+
   this._document = europa.document;
   this._element = null;
+  this._forked = false;
   this._tagName = null;
   this._window = europa.window;
 }, {
@@ -198,6 +267,10 @@ var Conversion = Nevis.extend(function(europa, options) {
       return this;
     }
 
+    if (this.options.referencePlacement === 'block') {
+      this.appendReferences();
+    }
+
     if (!this.atLeft) {
       this.append(this.left);
 
@@ -212,11 +285,150 @@ var Conversion = Nevis.extend(function(europa, options) {
     return this;
   },
 
+  /**
+   * Appends the definitions of any references that have yet to be output to the buffer in their own paragraph.
+   *
+   * Nothing happens if this {@link Conversion} was forked or the buffer is currently within a block container, as
+   * definitions can only be output at the top level.
+   *
+   * @return {Conversion} A reference to this {@link Conversion} for chaining purposes.
+   * @public
+   * @memberof Conversion#
+   */
+  appendReferences: function() {
+    if (this._forked || this.containers.length) {
+      return this;
+    }
+
+    var definitions = this.references.flush();
+
+    if (definitions.length) {
+      this
+        .appendParagraph()
+        .output(definitions.join('\n'));
+    }
+
+    return this;
+  },
+
+  /**
+   * Cleans the specified <code>string</code> so that it can be output as plain text.
+   *
+   * Doing so will replace any certain special characters as well as some white space. Dollars are also escaped unless
+   * the <code>mathDelimiters</code> option is <code>brackets</code>.
+   *
+   * @param {string} string - the string to be cleaned
+   * @return {string} The cleaned <code>string</code>.
+   * @public
+   * @memberof Conversion#
+   */
+  clean: function(string) {
+    string = string.replace(/\n([ \t]*\n)+/g, '\n')
+      .replace(/\n[ \t]+/g, '\n')
+      .replace(/[ \t]+/g, ' ');
+
+    Utilities.forOwn(Conversion.replacements, function(value, key) {
+      string = string.replace(Conversion.replacementsRegExp[key], value);
+    });
+
+    // Dollars would otherwise be mistaken for math delimiters where math is delimited by them
+    if (this.options.mathDelimiters !== 'brackets') {
+      string = string.replace(/\$/g, '\\$&');
+    }
+
+    return string;
+  },
+
+  /**
+   * Closes the innermost block container that was opened via {@link Conversion#openContainer}.
+   *
+   * If the buffer is at the start of a line, that line (along with any pending paragraph break) will be continued using
+   * the prefixes of the remaining containers instead.
+   *
+   * @return {Conversion} A reference to this {@link Conversion} for chaining purposes.
+   * @public
+   * @memberof Conversion#
+   */
+  closeContainer: function() {
+    var previousLeft = this.left;
+
+    this.containers.pop();
+    this.left = getLeft(this.containers);
+
+    if (this.atLeft) {
+      if (this.last && this.last.slice(-previousLeft.length) === previousLeft) {
+        this.last = this.last.slice(0, -previousLeft.length) + this.left;
+
+        // Move any paragraph break that is pending within the container outside of it
+        if (this.atParagraph && this.buffer.slice(-previousLeft.length) === previousLeft) {
+          this.buffer = this.buffer.slice(0, -previousLeft.length) + this.left;
+        }
+      } else {
+        this.atLeft = false;
+        this.atParagraph = false;
+      }
+    }
+
+    return this;
+  },
+
+  /**
+   * Creates a new {@link Conversion} which shares the same {@link Europa} instance, options, context, references, and
+   * window as this {@link Conversion} but which writes to its own buffer.
+   *
+   * This is useful for plugins that need to convert the contents of an element into Markdown before deciding how it
+   * is to be output (e.g. table cells).
+   *
+   * @return {Conversion} The forked {@link Conversion}.
+   * @public
+   * @memberof Conversion#
+   */
+  fork: function() {
+    var conversion = new Conversion(this.europa, this.options);
+    conversion.context = this.context;
+    conversion.references = this.references;
+    conversion.window = this.window;
+    conversion._forked = true;
+
+    return conversion;
+  },
+
+  /**
+   * Opens a new block container with the specified <code>name</code> whose contents are to be prefixed on every line
+   * with the <code>prefix</code> provided.
+   *
+   * The container will be opened on a new line, if the buffer is not already at the start of one, and
+   * <code>first</code> (or <code>prefix</code>, if omitted) will be appended to start the contents of the container
+   * (e.g. a list item marker).
+   *
+   * @param {string} name - the name of the container (e.g. <code>"blockquote"</code>)
+   * @param {string} prefix - the prefix for every continuation line within the container
+   * @param {string} [first] - the prefix for the first line within the container
+   * @return {Conversion} A reference to this {@link Conversion} for chaining purposes.
+   * @public
+   * @memberof Conversion#
+   */
+  openContainer: function(name, prefix, first) {
+    if (!this.atLeft) {
+      this.append(this.left);
+    }
+
+    this.containers.push({ name: name, prefix: prefix });
+    this.left = getLeft(this.containers);
+
+    this.append(first != null ? first : prefix);
+
+    this.atLeft = true;
+    this.atNoWhiteSpace = true;
+    this.atParagraph = true;
+
+    return this;
+  },
+
   /**
    * Outputs the specified <code>string</code> to the buffer.
    *
-   * Optionally, <code>string</code> can be "cleaned" before being output. Doing so will replace any certain special
-   * characters as well as some white space.
+   * Optionally, <code>string</code> can be "cleaned" before being output (see {@link Conversion#clean}).
    *
    * @param {string} string - the string to be output
    * @param {boolean} [clean=false] - <code>true</code> to clean <code>string</code>; otherwise <code>false</code>
@@ -232,13 +444,7 @@ var Conversion = Nevis.extend(function(europa, options) {
     string = string.replace(/\r\n/g, '\n');
 
     if (clean) {
-      string = string.replace(/\n([ \t]*\n)+/g, '\n')
-        .replace(/\n[ \t]+/g, '\n')
-        .replace(/[ \t]+/g, ' ');
-
-      Utilities.forOwn(Conversion.replacements, function(value, key) {
-        string = string.replace(Conversion.replacementsRegExp[key], value);
-      });
+      string = this.clean(string);
     }
 
     if (!this.inPreformattedBlock) {
@@ -265,6 +471,9 @@ var Conversion = Nevis.extend(function(europa, options) {
   /**
    * Replaces the start of the current line with the <code>string</code> provided.
    *
+   * @deprecated Block containers should be opened and closed using {@link Conversion#openContainer} and
+   * {@link Conversion#closeContainer} instead, as they ensure that all lines within them are prefixed correctly. This
+   * will be removed in a future major release.
    * @param {string} string - the string to replace the start of the current line
    * @return {Conversion} A reference to this {@link Conversion} for chaining purposes.
    * @public
@@ -437,3 +646,20 @@ Utilities.forOwn(Conversion.replacements, function(value, key) {
 });
 
 module.exports = Conversion;
+
+/**
+ * A block container within which the buffer can be.
+ *
+ * @typedef {Object} Conversion~Container
+ * @property {string} name - The name of the container.
+ * @property {string} prefix - The prefix for every continuation line within the container.
+ */
+
+/**
+ * A figure within which the buffer currently is.
+ *
+ * @typedef {Object} Conversion~Figure
+ * @property {string} alt - The alternative text to be used for the image of the figure.
+ * @property {?Element} image - The image of the figure, if any.
+ * @property {?string} title - The title to be used for the image of the figure, if any.
+ */
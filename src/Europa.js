@@ -26,15 +26,31 @@ var Nevis = require('nevis/lite');
 
 var Conversion = require('./Conversion');
 var DOMUtilities = require('./util/DOMUtilities');
+var Flavor = require('./flavor/Flavor');
 var Option = require('./option/Option');
 var OptionParser = require('./option/OptionParser');
 var Plugin = require('./plugin/Plugin');
 var ServiceManager = require('./service/ServiceManager');
 var Utilities = require('./util/Utilities');
 
-var plugins = {};
+var flavors = {};
+var plugins = [];
+var pluginsByTagName = {};
+var safeSchemes = [ 'http', 'https', 'mailto', 'relative' ];
 var serviceManager = new ServiceManager();
 
+function getPlugin(conversion) {
+  var candidates = (pluginsByTagName[conversion.tagName] || []).concat(pluginsByTagName['*'] || []);
+
+  for (var i = 0; i < candidates.length; i++) {
+    if (candidates[i].supports(conversion)) {
+      return candidates[i];
+    }
+  }
+
+  return null;
+}
+
 /**
  * Enables configuration of a HTML to Markdown converter that supports HTML strings and DOM elements.
  *
@@ -45,13 +61,83 @@ var serviceManager = new ServiceManager();
  */
 var Europa = Nevis.extend(function(options) {
   this._options = new OptionParser([
+    new Option('abbreviations'),
     new Option('absolute', false),
+    new Option('admonitions'),
     new Option('baseUri', function() {
       return serviceManager.getService('window').getDefaultBaseUri();
     }),
-    new Option('inline', false)
+    new Option('bulletListMarker'),
+    new Option('codeBlockStyle'),
+    new Option('definitionLists'),
+    new Option('emojiStyle', 'unicode'),
+    new Option('emphasisDelimiter'),
+    new Option('extendedAutolinks'),
+    new Option('fancyLists'),
+    new Option('fence'),
+    new Option('figureCaptions'),
+    new Option('flavor', 'gfm'),
+    new Option('footnotes'),
+    new Option('headingIds'),
+    new Option('headingOffset', 0),
+    new Option('headingStyle'),
+    new Option('highlight'),
+    new Option('horizontalRule'),
+    new Option('html', false),
+    new Option('htmlAttributes', [ 'class', 'id', 'lang', 'style', 'title' ]),
+    new Option('imageDensity', 1),
+    new Option('imageDimensions', false),
+    new Option('imageSource', 'largest'),
+    new Option('inline', false),
+    new Option('inlineImages'),
+    new Option('inlineLinks'),
+    new Option('kbdStyle', 'code'),
+    new Option('lineBreak'),
+    new Option('linkStyle', 'markdown'),
+    new Option('listTypeFallback', 'decimal'),
+    new Option('markdownInHtml'),
+    new Option('mathDelimiters', 'dollars'),
+    new Option('maxHeadingLevel', 6),
+    new Option('referenceLabels', 'prefixed'),
+    new Option('referencePlacement', 'document'),
+    new Option('sanitize', false),
+    new Option('sanitizePlaceholder'),
+    new Option('smallStyle', 'html'),
+    new Option('strikethrough'),
+    new Option('strongDelimiter'),
+    new Option('subscript'),
+    new Option('superscript'),
+    new Option('svgStyle', 'text'),
+    new Option('tableFallback', 'html'),
+    new Option('tables'),
+    new Option('taskLists'),
+    new Option('underlineStyle', 'emphasis'),
+    new Option('wikiLinkFilter'),
+    new Option('wikiLinkResolver')
   ])
   .parse(options);
+
+  var flavor = this._options.flavor;
+  if (typeof flavor === 'string') {
+    flavor = flavors[flavor];
+
+    if (!flavor) {
+      throw new Error('Flavor is not registered with name: ' + this._options.flavor);
+    }
+  }
+
+  Utilities.forOwn(flavor.settings, function(value, name) {
+    if (this._options[name] == null) {
+      this._options[name] = value;
+    }
+  }, this);
+
+  [ 'inlineImages', 'inlineLinks' ].forEach(function(name) {
+    if (this._options[name] == null) {
+      this._options[name] = this._options.inline;
+    }
+  }, this);
+
   this._window = null;
 }, {
 
@@ -94,13 +180,13 @@ var Europa = Nevis.extend(function(options) {
     }
 
     try {
-      Utilities.forOwn(plugins, function(plugin) {
+      plugins.forEach(function(plugin) {
         plugin.beforeAll(conversion);
       });
 
       this.convertElement(root, conversion);
 
-      Utilities.forOwn(plugins, function(plugin) {
+      plugins.forEach(function(plugin) {
         plugin.afterAll(conversion);
       });
     } finally {
@@ -114,6 +200,26 @@ var Europa = Nevis.extend(function(options) {
     return conversion.append('').buffer.trim();
   },
 
+  /**
+   * Converts only the children of the specified <code>element</code> into Markdown using a {@link Conversion} forked
+   * from the <code>conversion</code> provided and returns the resulting Markdown instead of outputting it.
+   *
+   * @param {Element} element - the element whose children are to be converted into Markdown
+   * @param {Conversion} conversion - the current {@link Conversion}
+   * @return {string} The Markdown converted from the children of <code>element</code>.
+   * @public
+   * @memberof Europa#
+   */
+  convertContents: function(element, conversion) {
+    var fork = conversion.fork();
+
+    for (var i = 0; i < element.childNodes.length; i++) {
+      this.convertElement(element.childNodes[i], fork);
+    }
+
+    return fork.append('').buffer.trim();
+  },
+
   /**
    * Converts the specified <code>element</code> and it's children into Markdown using the <code>conversion</code>
    * provided.
@@ -143,7 +249,7 @@ var Europa = Nevis.extend(function(options) {
       conversion.element = element;
 
       context = {};
-      plugin = plugins[conversion.tagName];
+      plugin = getPlugin(conversion);
       convertChildren = true;
 
       if (plugin) {
@@ -165,8 +271,6 @@ var Europa = Nevis.extend(function(options) {
 
       if (conversion.inPreformattedBlock) {
         conversion.output(value);
-      } else if (conversion.inCodeBlock) {
-        conversion.output(value.replace(/`/g, '\\`'));
       } else {
         conversion.output(value, true);
       }
@@ -191,10 +295,69 @@ var Europa = Nevis.extend(function(options) {
     }
 
     return this;
+  },
+
+  /**
+   * Rewrites the specified <code>url</code> using the configured {@link UrlService}, if any.
+   *
+   * @param {string} url - the URL to be rewritten
+   * @param {UrlService~Context} context - the context in which <code>url</code> is being output
+   * @return {string} The rewritten URL or <code>url</code> if no {@link UrlService} has been configured.
+   * @public
+   * @memberof Europa#
+   */
+  rewriteUrl: function(url, context) {
+    return serviceManager.hasService('url') ? serviceManager.getService('url').rewrite(url, context) : url;
+  },
+
+  /**
+   * Sanitizes the specified <code>url</code> based on the <code>sanitize</code> option.
+   *
+   * If the scheme of <code>url</code> is not allowed, then the <code>sanitizePlaceholder</code> option will be returned
+   * instead, where one is specified. Otherwise, <code>null</code> will be returned so that the URL can be dropped
+   * altogether. URLs without a scheme are only allowed if <code>"relative"</code> is allowed.
+   *
+   * @param {string} url - the URL to be sanitized
+   * @return {?string} <code>url</code> if it is allowed or the <code>sanitize</code> option is disabled; otherwise the
+   * <code>sanitizePlaceholder</code> option, where specified, or <code>null</code>.
+   * @public
+   * @memberof Europa#
+   */
+  sanitizeUrl: function(url) {
+    var schemes = this._options.sanitize;
+    if (!schemes) {
+      return url;
+    }
+
+    if (!Array.isArray(schemes)) {
+      schemes = safeSchemes;
+    }
+
+    // Browsers ignore any white space and control characters within a URL, which can be abused to disguise its scheme
+    var match = url.replace(/[\u0000-\u0020\u007f]+/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    var scheme = match ? match[1].toLowerCase() : 'relative';
+
+    if (schemes.some(function(allowed) {
+      return allowed.toLowerCase() === scheme;
+    })) {
+      return url;
+    }
+
+    return this._options.sanitizePlaceholder || null;
   }
 
 }, {
 
+  /**
+   * A convient reference to {@link Flavor} exposed on {@link Europa} for cases where Europa Core is bundled.
+   *
+   * @public
+   * @static
+   * @type {Function}
+   * @memberof Europa
+   */
+  Flavor: Flavor,
+
   /**
    * A convient reference to {@link Plugin} exposed on {@link Europa} for cases where Europa Core is bundled.
    *
@@ -205,11 +368,47 @@ var Europa = Nevis.extend(function(options) {
    */
   Plugin: Plugin,
 
+  /**
+   * Returns the {@link Service} configured with the specified <code>name</code>.
+   *
+   * This allows plugins to use services that have been configured via {@link Europa.use}.
+   *
+   * @param {string} name - the name of the {@link Service} to be returned
+   * @return {Service} The {@link Service} configured with <code>name</code>.
+   * @throws {Error} If no {@link Service} has been configured with <code>name</code>.
+   * @public
+   * @static
+   * @memberof Europa
+   */
+  getService: function(name) {
+    return serviceManager.getService(name);
+  },
+
+  /**
+   * Returns whether a {@link Service} has been configured with the specified <code>name</code>.
+   *
+   * This allows plugins to fall back on alternative behavior where optional services have not been configured via
+   * {@link Europa.use}.
+   *
+   * @param {string} name - the name of the {@link Service} to be checked
+   * @return {boolean} <code>true</code> if a {@link Service} has been configured with <code>name</code>; otherwise
+   * <code>false</code>.
+   * @public
+   * @static
+   * @memberof Europa
+   */
+  hasService: function(name) {
+    return serviceManager.hasService(name);
+  },
+
   /**
    * Registers the specified <code>plugin</code> to be used by all {@link Europa} instances.
    *
    * If <code>plugin</code> declares support for a tag name which already has a {@link Plugin} registered for it,
-   * <code>plugin</code> will replace the previously registered plugin, but only for conflicting tag names.
+   * <code>plugin</code> will replace the previously registered plugin, but only for conflicting tag names and only if
+   * its priority is not lower (see {@link Plugin#getPriority}). However, the plugin with the lower priority, or which
+   * was registered previously, will still be used for any elements that the other does not support (see
+   * {@link Plugin#supports}).
    *
    * @param {Plugin} plugin - the {@link Plugin} to be registered
    * @return {void}
@@ -218,9 +417,40 @@ var Europa = Nevis.extend(function(options) {
    * @memberof Europa
    */
   register: function(plugin) {
+    var priority = plugin.getPriority();
+
     plugin.getTagNames().forEach(function(tag) {
-      plugins[tag] = plugin;
+      var candidates = pluginsByTagName[tag] || [];
+      var index = 0;
+
+      while (index < candidates.length && candidates[index].getPriority() > priority) {
+        index++;
+      }
+
+      candidates.splice(index, 0, plugin);
+
+      pluginsByTagName[tag] = candidates;
     });
+
+    if (plugins.indexOf(plugin) === -1) {
+      plugins.push(plugin);
+    }
+  },
+
+  /**
+   * Registers the specified <code>flavor</code> so that it can be selected by name, using the <code>flavor</code>
+   * option, by all {@link Europa} instances.
+   *
+   * If a {@link Flavor} has already been registered with the same name, <code>flavor</code> will replace it.
+   *
+   * @param {Flavor} flavor - the {@link Flavor} to be registered
+   * @return {void}
+   * @public
+   * @static
+   * @memberof Europa
+   */
+  registerFlavor: function(flavor) {
+    flavors[flavor.name] = flavor;
   },
 
   /**
@@ -280,9 +510,144 @@ module.exports = Europa;
 /**
  * The options used by {@link Europa}.
  *
+ * Any options which correspond to a {@link Flavor} setting will default to the value of that setting for the selected
+ * <code>flavor</code>.
+ *
  * @typedef {Object} Europa~Options
+ * @property {boolean} [abbreviations] - Whether the expansions of abbreviations are to be output as abbreviation
+ * definitions instead of inline after their first occurrence.
  * @property {boolean} [absolute=false] - Whether absolute URLS should be used for anchors/images.
+ * @property {boolean|string} [admonitions] - The syntax to be used for admonitions (e.g. notes and warnings). Either
+ * <code>"github"</code>, <code>"mkdocs"</code>, <code>"obsidian"</code>, or <code>"pandoc"</code>, otherwise they are
+ * output as block quotes.
  * @property {string} [baseUri] - The base URI for the window. This is ignored in environments where the base URI cannot
  * be changed.
- * @property {boolean} [inline=false] - Whether anchor/image URLs are to be inserted inline.
+ * @property {string|string[]} [bulletListMarker] - The marker to be used for unordered list items. If an array, the
+ * markers will be alternated based on the depth of the list.
+ * @property {string} [codeBlockStyle] - The style of code blocks to be output for preformatted elements. Either
+ * <code>"indented"</code> or <code>"fenced"</code>.
+ * @property {boolean} [definitionLists] - Whether definition lists are to be output using the definition list syntax
+ * instead of as an unordered list.
+ * @property {string} [emojiStyle="unicode"] - How emoji are to be output. Either <code>"unicode"</code> for the
+ * character or <code>"shortcode"</code> (e.g. <code>:smile:</code>).
+ * @property {string} [emphasisDelimiter] - The delimiter to be used for emphasised text.
+ * @property {boolean} [extendedAutolinks] - Whether anchors whose text is the same as their URL are to be output as
+ * bare URLs instead of being wrapped in angle brackets.
+ * @property {boolean} [fancyLists] - Whether ordered lists can be numbered using letters and roman numerals.
+ * @property {string} [fence] - The fence to be used when <code>codeBlockStyle</code> is <code>"fenced"</code>. Either
+ * <code>"```"</code> or <code>"~~~"</code>.
+ * @property {string} [figureCaptions] - How the captions of figures containing a single image are to be output.
+ * Either <code>"implicit"</code> to use the caption as the alternative text of an image alone in a paragraph (i.e.
+ * implicit figures), <code>"text"</code> for emphasised text below the image, or <code>"title"</code> to use the
+ * caption as the title of the image.
+ * @property {Flavor|string} [flavor="gfm"] - The {@link Flavor} (or the name of a registered {@link Flavor}) whose
+ * settings are to be used. The predefined flavors are <code>"commonmark"</code>, <code>"gfm"</code>,
+ * <code>"markdown-extra"</code>, <code>"multimarkdown"</code>, <code>"obsidian"</code>, and <code>"pandoc"</code>.
+ * Use <code>"commonmark"</code> to avoid GitHub-Flavored Markdown extensions (e.g. autolinks for bare URLs,
+ * strikethrough, pipe tables, and task lists).
+ * @property {boolean} [footnotes] - Whether footnote references and definitions are to be output as footnotes.
+ * @property {boolean} [headingIds] - Whether the IDs of headings are to be output as attributes (e.g.
+ * <code>{#foo}</code>).
+ * @property {number} [headingOffset=0] - The number of levels by which headings are to be demoted (or promoted, if
+ * negative). This is useful when the Markdown is to be embedded within another document.
+ * @property {string} [headingStyle] - The style of headings. Either <code>"atx"</code> or <code>"setext"</code>, which
+ * only applies to headings of the first and second levels.
+ * @property {boolean} [highlight] - Whether highlighted text is to be wrapped in equals signs instead of HTML.
+ * @property {string} [horizontalRule] - The horizontal rule.
+ * @property {boolean|string[]|Europa~HtmlPredicate} [html=false] - The names of tags (or a function to determine
+ * whether an element) that are not otherwise supported are to be output as raw HTML instead of having only their
+ * contents converted. Either <code>true</code> to output all such elements as raw HTML or <code>false</code> to output
+ * none of them.
+ * @property {string[]} [htmlAttributes=["class","id","lang","style","title"]] - The names of the attributes that are to
+ * be included when outputting elements as raw HTML.
+ * @property {number} [imageDensity=1] - The target pixel density to be used when <code>imageSource</code> is
+ * <code>"density"</code>.
+ * @property {boolean|string} [imageDimensions=false] - How the <code>width</code> and <code>height</code> of images are
+ * to be output, if at all. Either <code>"attributes"</code> or <code>"html"</code>.
+ * @property {string} [imageSource="largest"] - How the source of images with multiple candidates (e.g.
+ * <code>srcset</code>) are to be selected. Either <code>"largest"</code>, <code>"density"</code>, or
+ * <code>"first"</code>.
+ * @property {boolean} [inline=false] - Whether anchor/image URLs are to be inserted inline. This is only the default
+ * for <code>inlineImages</code> and <code>inlineLinks</code>.
+ * @property {boolean} [inlineImages] - Whether image URLs are to be inserted inline instead of being referenced.
+ * @property {boolean} [inlineLinks] - Whether anchor URLs are to be inserted inline instead of being referenced.
+ * @property {string} [kbdStyle="code"] - How keyboard input is to be output. Either <code>"code"</code> for a code span
+ * or <code>"html"</code> for a <code>kbd</code> HTML element.
+ * @property {string} [lineBreak] - The string to be inserted before a line break. Either two spaces or a backslash.
+ * @property {string} [linkStyle="markdown"] - The style of links to be output for anchors. Either
+ * <code>"markdown"</code> or <code>"wiki"</code> to output wiki links (e.g. <code>[[Page Name|foo]]</code>) for
+ * internal anchors.
+ * @property {string} [listTypeFallback="decimal"] - How ordered lists that are numbered using letters or roman numerals
+ * are to be output when <code>fancyLists</code> is disabled. Either <code>"decimal"</code> or <code>"html"</code>.
+ * @property {boolean} [markdownInHtml] - Whether the contents of block elements output as raw HTML can be converted
+ * into Markdown, otherwise they are also output as raw HTML.
+ * @property {string} [mathDelimiters="dollars"] - How inline and display math are to be delimited. Either
+ * <code>"dollars"</code>, <code>"brackets"</code>, or <code>"backticks"</code>. Dollars within text are escaped unless
+ * <code>"brackets"</code>.
+ * @property {number} [maxHeadingLevel=6] - The maximum level of headings. Any headings beyond this level are clamped to
+ * it.
+ * @property {string} [referenceLabels="prefixed"] - How the labels of references to anchor/image URLs are to be
+ * generated. Either <code>"prefixed"</code> (e.g. <code>[anchor0]</code>), <code>"numeric"</code>, <code>"slug"</code>
+ * for a slug of the text, <code>"hash"</code> for a hash of the URL, or <code>"collapsed"</code> or
+ * <code>"shortcut"</code> to use the text itself where it is unique.
+ * @property {string} [referencePlacement="document"] - Where the definitions of references are to be output. Either
+ * <code>"document"</code> for the end of the document, <code>"section"</code> for before each heading, or
+ * <code>"block"</code> for after each top-level block.
+ * @property {boolean|string[]} [sanitize=false] - Whether the URLs of anchors, images, media, and frames are to be
+ * sanitized so that only those using an allowed scheme are output. Either <code>true</code> to only allow
+ * <code>"http"</code>, <code>"https"</code>, <code>"mailto"</code>, and <code>"relative"</code> URLs (i.e. those
+ * without a scheme), or the schemes to be allowed. Any raw HTML that is output also has its URL attributes sanitized
+ * and its event handler attributes and scripts removed.
+ * @property {string} [sanitizePlaceholder] - The URL to be output in place of any URL that is not allowed by
+ * <code>sanitize</code>. Such URLs are dropped, leaving only their text, when not specified.
+ * @property {string} [smallStyle="html"] - How small text is to be output. Either <code>"html"</code> to keep the HTML
+ * element or <code>"none"</code> for plain text.
+ * @property {boolean} [strikethrough] - Whether struck-out text is to be wrapped in tildes instead of HTML.
+ * @property {string} [strongDelimiter] - The delimiter to be used for strong text.
+ * @property {boolean} [subscript] - Whether subscript text is to be wrapped in tildes instead of HTML.
+ * @property {boolean} [superscript] - Whether superscript text is to be wrapped in carets instead of HTML.
+ * @property {string} [svgStyle="text"] - How inline SVGs are to be output. Either <code>"data"</code> for an image
+ * using a <code>data:</code> URI, <code>"asset"</code> for an image using the path returned by the configured
+ * {@link AssetService} (falling back on <code>"data"</code> where none is configured), or <code>"text"</code> to only
+ * output its title.
+ * @property {string} [tableFallback="html"] - How tables that cannot be expressed as pipe tables (e.g. those with
+ * spanning cells or nested tables) are to be output. Either <code>"html"</code> or <code>"list"</code>.
+ * @property {boolean} [tables] - Whether pipe tables are supported. All tables are output according to
+ * <code>tableFallback</code> when disabled.
+ * @property {boolean} [taskLists] - Whether list items starting with checkboxes are to be output as task list items.
+ * @property {string} [underlineStyle="emphasis"] - How underlined text is to be output. Either <code>"emphasis"</code>
+ * for emphasised text, <code>"html"</code> to keep the HTML element, or <code>"none"</code> for plain text.
+ * @property {Europa~WikiLinkFilter} [wikiLinkFilter] - A function used to determine whether anchors are internal and
+ * so are to be output as wiki links when <code>linkStyle</code> is <code>"wiki"</code>. By default, anchors whose URL
+ * has the same origin as <code>baseUri</code> are internal.
+ * @property {Europa~WikiLinkResolver} [wikiLinkResolver] - A function used to resolve the name of the page for wiki
+ * links from the URL. By default, the name of the file, without any extension, is used.
+ */
+
+/**
+ * Called to determine whether an element that is not otherwise supported is to be output as raw HTML.
+ *
+ * @callback Europa~HtmlPredicate
+ * @param {Element} element - the element to be checked
+ * @param {Conversion} conversion - the current {@link Conversion}
+ * @return {boolean} <code>true</code> if <code>element</code> is to be output as raw HTML; otherwise
+ * <code>false</code>.
+ */
+
+/**
+ * Called to determine whether an anchor is internal and so is to be output as a wiki link.
+ *
+ * @callback Europa~WikiLinkFilter
+ * @param {string} url - the absolute URL of the anchor
+ * @param {Element} element - the anchor element
+ * @return {boolean} <code>true</code> if the anchor is to be output as a wiki link; otherwise <code>false</code>.
+ */
+
+/**
+ * Called to resolve the name of the page to be used for a wiki link.
+ *
+ * @callback Europa~WikiLinkResolver
+ * @param {string} url - the absolute URL of the anchor
+ * @param {Element} element - the anchor element
+ * @return {?string} The page name or <code>null</code> if the anchor is to be output as a standard link.
  */
@@ -0,0 +1,122 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Nevis = require('nevis/lite');
+
+var Utilities = require('../util/Utilities');
+
+/**
+ * A profile of Markdown syntax choices and supported extensions that is intended to produce Markdown which is valid for
+ * a specific renderer.
+ *
+ * The names of the settings correspond to the names of the options which can be used to override them.
+ *
+ * @param {string} name - the name to be used
+ * @param {Flavor~Settings} settings - the settings to be used
+ * @public
+ * @class
+ * @extends Nevis
+ */
+var Flavor = Nevis.extend(function(name, settings) {
+  /**
+   * The name for this {@link Flavor}.
+   *
+   * @public
+   * @type {string}
+   * @memberof Flavor#
+   */
+  this.name = name;
+
+  /**
+   * The settings for this {@link Flavor}.
+   *
+   * @public
+   * @type {Flavor~Settings}
+   * @memberof Flavor#
+   */
+  this.settings = settings;
+}, {
+
+  /**
+   * Creates a new {@link Flavor} with the specified <code>name</code> whose settings are based on those of this
+   * {@link Flavor} but with the <code>settings</code> provided applied on top.
+   *
+   * @param {string} name - the name to be used
+   * @param {Flavor~Settings} settings - the settings to be applied
+   * @return {Flavor} The derived {@link Flavor}.
+   * @public
+   * @memberof Flavor#
+   */
+  derive: function(name, settings) {
+    var derived = {};
+
+    Utilities.forOwn(this.settings, function(value, key) {
+      derived[key] = value;
+    });
+    Utilities.forOwn(settings, function(value, key) {
+      derived[key] = value;
+    });
+
+    return new Flavor(name, derived);
+  }
+
+});
+
+module.exports = Flavor;
+
+/**
+ * The settings used by {@link Flavor}.
+ *
+ * @typedef {Object} Flavor~Settings
+ * @property {boolean} abbreviations - Whether abbreviation definitions are supported.
+ * @property {boolean|string} admonitions - The syntax supported for admonitions, if any. Either
+ * <code>"github"</code>, <code>"mkdocs"</code>, <code>"obsidian"</code>, or <code>"pandoc"</code>.
+ * @property {string|string[]} bulletListMarker - The marker to be used for unordered list items. If an array, the
+ * markers will be alternated based on the depth of the list.
+ * @property {string} codeBlockStyle - The style of code blocks. Either <code>"indented"</code> or
+ * <code>"fenced"</code>.
+ * @property {boolean} definitionLists - Whether definition lists are supported.
+ * @property {string} emphasisDelimiter - The delimiter to be used for emphasised text.
+ * @property {boolean} extendedAutolinks - Whether URLs and email addresses are automatically linked without angle
+ * brackets.
+ * @property {boolean} fancyLists - Whether ordered lists can be numbered using letters and roman numerals.
+ * @property {string} fence - The fence to be used for fenced code blocks. Either <code>"```"</code> or
+ * <code>"~~~"</code>.
+ * @property {string} figureCaptions - How the captions of figures containing images are output. Either
+ * <code>"implicit"</code>, <code>"text"</code>, or <code>"title"</code>.
+ * @property {boolean} footnotes - Whether footnotes are supported.
+ * @property {boolean} headingIds - Whether the IDs of headings are to be output as attributes (e.g.
+ * <code>{#foo}</code>).
+ * @property {string} headingStyle - The style of headings. Either <code>"atx"</code> or <code>"setext"</code>.
+ * @property {boolean} highlight - Whether highlighted text is supported.
+ * @property {string} horizontalRule - The horizontal rule.
+ * @property {string} lineBreak - The string to be inserted before a line break. Either two spaces or a backslash.
+ * @property {boolean} markdownInHtml - Whether Markdown within HTML blocks is supported.
+ * @property {boolean} strikethrough - Whether struck-out text is supported.
+ * @property {string} strongDelimiter - The delimiter to be used for strong text.
+ * @property {boolean} subscript - Whether subscript text is supported.
+ * @property {boolean} superscript - Whether superscript text is supported.
+ * @property {boolean} tables - Whether pipe tables are supported.
+ * @property {boolean} taskLists - Whether task list items are supported.
+ */
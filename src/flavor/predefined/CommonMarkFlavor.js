@@ -0,0 +1,64 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Europa = require('../../Europa');
+var Flavor = require('../Flavor');
+
+/**
+ * A {@link Flavor} for Markdown that conforms to the CommonMark specification without any extensions.
+ *
+ * This is also the base of all other predefined flavors.
+ *
+ * @public
+ * @type {Flavor}
+ */
+var CommonMarkFlavor = new Flavor('commonmark', {
+  abbreviations: false,
+  admonitions: false,
+  bulletListMarker: '*',
+  codeBlockStyle: 'indented',
+  definitionLists: false,
+  emphasisDelimiter: '_',
+  extendedAutolinks: false,
+  fancyLists: false,
+  fence: '```',
+  figureCaptions: 'text',
+  footnotes: false,
+  headingIds: false,
+  headingStyle: 'atx',
+  highlight: false,
+  horizontalRule: '---',
+  lineBreak: '  ',
+  markdownInHtml: true,
+  strikethrough: false,
+  strongDelimiter: '**',
+  subscript: false,
+  superscript: false,
+  tables: false,
+  taskLists: false
+});
+
+Europa.registerFlavor(CommonMarkFlavor);
+
+module.exports = CommonMarkFlavor;
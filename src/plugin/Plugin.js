@@ -100,15 +100,55 @@ var Plugin = Nevis.extend({
     return true;
   },
 
+  /**
+   * Returns the priority of this {@link Plugin} over any others registered for the same tag names.
+   *
+   * Plugins with a higher priority are asked whether they support an element before those with a lower priority,
+   * regardless of the order in which they were registered. This allows plugins which only support specific elements
+   * (e.g. footnote references) to take precedence over the more general plugins for the same tag names, which can then
+   * be fallen back on. Where plugins share the same priority, the one registered most recently is asked first.
+   *
+   * The default implementation of this method will always return <code>0</code>.
+   *
+   * @return {number} The priority.
+   * @public
+   * @memberof Plugin#
+   */
+  getPriority: function() {
+    return 0;
+  },
+
   /**
    * Returns the names of tags with which this {@link Plugin} should be registered to handle.
    *
+   * The special tag name, <code>*</code>, can be used to handle any element which is not supported by the plugins
+   * registered for its tag name.
+   *
    * @return {string[]} The names of supported tags.
    * @public
    * @memberof Plugin#
    */
   getTagNames: function() {
     return [];
+  },
+
+  /**
+   * Returns whether this {@link Plugin} supports converting the current element within the specified
+   * <code>conversion</code>.
+   *
+   * This is only called for elements whose tag name is one of those returned by {@link Plugin#getTagNames}. If the
+   * element is not supported, then it will be converted by the next {@link Plugin} registered for its tag name (see
+   * {@link Plugin#getPriority}), if any, or otherwise those registered for <code>*</code>.
+   *
+   * The default implementation of this method will always return <code>true</code>.
+   *
+   * @param {Conversion} conversion - the current {@link Conversion}
+   * @return {boolean} <code>true</code> if the current element is supported; otherwise <code>false</code>.
+   * @public
+   * @memberof Plugin#
+   */
+  supports: function(conversion) {
+    return true;
   }
 
 });
@@ -0,0 +1,119 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+
+/**
+ * A {@link Plugin} which extracts the expansions of abbreviations from their <code>title</code>.
+ *
+ * If the <code>abbreviations</code> option is enabled, then all unique abbreviation and expansion combinations will be
+ * indexed and the definitions will be output at the very end (e.g. <code>*[HTML]: Hyper Text Markup Language</code>).
+ * Otherwise, the expansion will be inserted immediately after the first occurrence of each abbreviation (e.g.
+ * <code>HTML (Hyper Text Markup Language)</code>).
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var AbbreviationPlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  after: function(conversion, context) {
+    if (context.value != null) {
+      conversion.output(' (' + context.value + ')', true);
+    }
+  },
+
+  /**
+   * @override
+   */
+  afterAll: function(conversion) {
+    var abbreviations = conversion.context.abbreviations;
+    if (!abbreviations.length) {
+      return;
+    }
+
+    conversion
+      .appendParagraph()
+      .output(abbreviations.map(function(abbreviation) {
+        return '*[' + abbreviation.name + ']: ' + abbreviation.title;
+      }).join('\n'));
+  },
+
+  /**
+   * @override
+   */
+  beforeAll: function(conversion) {
+    conversion.context.abbreviationMap = {};
+    conversion.context.abbreviations = [];
+  },
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var element = conversion.element;
+    var name = element.textContent.replace(/\s+/g, ' ').trim();
+    var title = (element.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+    if (!name || !title) {
+      return true;
+    }
+
+    var abbreviationMap = conversion.context.abbreviationMap;
+    if (abbreviationMap[name] != null) {
+      return true;
+    }
+
+    abbreviationMap[name] = title;
+
+    if (conversion.options.abbreviations) {
+      conversion.context.abbreviations.push({
+        name: name,
+        title: title
+      });
+    } else {
+      context.value = title;
+    }
+
+    return true;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [
+      'abbr',
+      'acronym'
+    ];
+  }
+
+});
+
+Europa.register(new AbbreviationPlugin());
+
+module.exports = AbbreviationPlugin;
@@ -0,0 +1,230 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var DOMUtilities = require('../../util/DOMUtilities');
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+
+var alertTypes = {
+  abstract: 'NOTE',
+  attention: 'IMPORTANT',
+  bug: 'CAUTION',
+  caution: 'CAUTION',
+  danger: 'CAUTION',
+  error: 'CAUTION',
+  example: 'NOTE',
+  failure: 'CAUTION',
+  hint: 'TIP',
+  important: 'IMPORTANT',
+  info: 'NOTE',
+  note: 'NOTE',
+  question: 'NOTE',
+  quote: 'NOTE',
+  seealso: 'NOTE',
+  success: 'TIP',
+  tip: 'TIP',
+  todo: 'NOTE',
+  warning: 'WARNING'
+};
+var markerClassNames = [ 'admonition', 'callout', 'markdown-alert' ];
+var titleSelector = [
+  '.admonition-title',
+  '.callout-title',
+  '.markdown-alert-title',
+  '[class*="admonitionHeading"]',
+  '[class*="admonition-heading"]'
+].join(', ');
+var typeClassNameRegExp = /^(?:admonition|callout|markdown-alert|theme-admonition)-([a-z]+)$/;
+
+function getType(element, tagName) {
+  var classNames = (element.getAttribute('class') || '').toLowerCase().split(/\s+/);
+  // Types are used as identifiers by every syntax so must be a single word
+  var type = (element.getAttribute('data-callout') || '').toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  var i, match;
+
+  if (type) {
+    return type;
+  }
+
+  for (i = 0; i < classNames.length; i++) {
+    match = classNames[i].match(typeClassNameRegExp);
+
+    if (match && alertTypes[match[1]]) {
+      return match[1];
+    }
+  }
+
+  if (tagName !== 'aside' && !classNames.some(function(className) {
+    return markerClassNames.indexOf(className) !== -1;
+  })) {
+    return null;
+  }
+
+  for (i = 0; i < classNames.length; i++) {
+    if (alertTypes[classNames[i]]) {
+      return classNames[i];
+    }
+  }
+
+  return null;
+}
+
+function getTitle(element) {
+  for (var i = 0; i < element.children.length; i++) {
+    if (DOMUtilities.matches(element.children[i], titleSelector)) {
+      return element.children[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * A {@link Plugin} which outputs admonitions (e.g. notes and warnings) based on the class names used by the likes of
+ * Docusaurus, MkDocs, Sphinx, and GitHub.
+ *
+ * The syntax used depends on the <code>admonitions</code> option; either GitHub alerts (<code>github</code>, e.g.
+ * <code>&gt; [!WARNING]</code>), Obsidian callouts (<code>obsidian</code>, e.g. <code>&gt; [!warning] Title</code>),
+ * MkDocs admonitions (<code>mkdocs</code>, e.g. <code>!!! warning "Title"</code>), or Pandoc fenced divs
+ * (<code>pandoc</code>, e.g. <code>::: warning</code>). Otherwise, admonitions are output as block quotes starting with
+ * their title in strong text.
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var AdmonitionPlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  after: function(conversion, context) {
+    if (conversion.options.admonitions === 'pandoc') {
+      conversion
+        .appendParagraph()
+        .output(':::');
+    } else {
+      conversion.closeContainer();
+    }
+
+    conversion.appendParagraph();
+  },
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var element = conversion.element;
+    var options = conversion.options;
+    var type = getType(element, conversion.tagName);
+    var titleElement = getTitle(element);
+    var title = titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : '';
+    var strong = options.strongDelimiter;
+
+    conversion.appendParagraph();
+
+    switch (options.admonitions) {
+    case 'github':
+      // GitHub already labels alerts with their type, but types unknown to it are output as notes, using the type as
+      // the title where there is none
+      if (alertTypes[type] && title.toUpperCase() === alertTypes[type]) {
+        title = '';
+      } else if (!alertTypes[type] && !title) {
+        title = type.charAt(0).toUpperCase() + type.substring(1);
+      }
+
+      conversion
+        .openContainer('admonition', '> ')
+        .output('[!' + (alertTypes[type] || 'NOTE') + ']\n');
+
+      if (title) {
+        conversion
+          .output(strong + conversion.clean(title) + strong)
+          .appendParagraph();
+      }
+      break;
+    case 'mkdocs':
+      conversion
+        .output('!!! ' + type + (title ? ' "' + title.replace(/"/g, '\\"') + '"' : ''))
+        .openContainer('admonition', '    ');
+      break;
+    case 'obsidian':
+      conversion
+        .openContainer('admonition', '> ')
+        .output('[!' + type + ']' + (title ? ' ' + conversion.clean(title) : '') + '\n');
+      break;
+    case 'pandoc':
+      conversion.output('::: ' + (title ? '{.' + type + ' title="' + title.replace(/"/g, '\\"') + '"}' : type) + '\n');
+      break;
+    default:
+      conversion
+        .openContainer('admonition', '> ')
+        .output(strong + conversion.clean(title || type.charAt(0).toUpperCase() + type.substring(1)) + strong)
+        .appendParagraph();
+      break;
+    }
+
+    conversion.atParagraph = true;
+
+    for (var i = 0; i < element.childNodes.length; i++) {
+      if (element.childNodes[i] !== titleElement) {
+        conversion.europa.convertElement(element.childNodes[i], conversion);
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * @override
+   */
+  getPriority: function() {
+    return 1;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [
+      'aside',
+      'div',
+      'section'
+    ];
+  },
+
+  /**
+   * @override
+   */
+  supports: function(conversion) {
+    return getType(conversion.element, conversion.tagName) != null;
+  }
+
+});
+
+Europa.register(new AdmonitionPlugin());
+
+module.exports = AdmonitionPlugin;
@@ -22,9 +22,72 @@
 
 'use strict';
 
+var DOMUtilities = require('../../util/DOMUtilities');
 var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
 
+var bareUrlRegExp = /^(?:https?:\/\/|www\.)[^\s<>()[\]*_~`\\]*[a-z0-9/]$/i;
+var emailRegExp = /^[^\s<>@]+@[^\s<>@]+$/;
+var urlRegExp = /^[a-z][a-z0-9+.-]{1,31}:[^\s<>]*$/i;
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    // Malformed values are left as they are
+    return value;
+  }
+}
+
+function getAutolink(element, href, options) {
+  var attribute = element.getAttribute('href');
+  var text = element.textContent.trim();
+
+  if (/^mailto:/i.test(attribute) && attribute.substring(7) === text && emailRegExp.test(text)) {
+    return options.extendedAutolinks && !/[_*~]/.test(text) ? text : '<' + text + '>';
+  }
+  if (urlRegExp.test(text) && [ attribute, href ].some(function(url) {
+    return url.replace(/\/$/, '') === text.replace(/\/$/, '');
+  })) {
+    return options.extendedAutolinks && bareUrlRegExp.test(text) ? text : '<' + text + '>';
+  }
+
+  return null;
+}
+
+function isInternal(element, options, document) {
+  var base;
+
+  if (!/^https?:$/.test(element.protocol) || /^#/.test(element.getAttribute('href'))) {
+    return false;
+  }
+  if (typeof options.wikiLinkFilter === 'function') {
+    return Boolean(options.wikiLinkFilter(element.href, element));
+  }
+
+  base = document.createElement('a');
+  base.href = DOMUtilities.resolveUrl(options.baseUri, document);
+
+  return element.protocol === base.protocol && element.host === base.host;
+}
+
+function resolvePageName(url, element) {
+  var anchor = element.ownerDocument.createElement('a');
+  anchor.href = url;
+
+  var segments = anchor.pathname.split('/').filter(Boolean);
+  var name = segments.pop() || '';
+  var heading = anchor.hash ? decode(anchor.hash.substring(1)) : '';
+
+  if (/^index\.[a-z0-9]+$/i.test(name)) {
+    name = segments.pop() || '';
+  }
+
+  name = decode(name).replace(/\.(?:aspx?|html?|md|php)$/i, '');
+
+  return heading ? name + '#' + heading : name;
+}
+
 /**
  * A {@link Plugin} which extracts the URL from an anchor. Anchors without an <code>href</code> are treated as plain
  * text.
@@ -32,9 +95,24 @@ var Plugin = require('../Plugin');
  * If the <code>absolute</code> option is enabled, then the URL extracted from the anchor will be absolute. Otherwise,
  * the URL will be exactly as it is in the <code>href</code> attribute.
  *
- * If the <code>inline</code> option is enabled, then the URL (and any <code>title</code> on the anchor) will be
+ * If the <code>inlineLinks</code> option is enabled, then the URL (and any <code>title</code> on the anchor) will be
  * inserted immediately after the anchor contents (e.g. <code>[foo](/bar)</code>). Otherwise, all unique URL and title
- * combinations will be indexed (e.g. <code>[foo][anchor0]</code>) and the references will be output at the very end.
+ * combinations will be referenced (e.g. <code>[foo][anchor0]</code>) based on the <code>referenceLabels</code> option
+ * and the definitions will be output based on the <code>referencePlacement</code> option.
+ *
+ * If the <code>linkStyle</code> option is <code>wiki</code>, then anchors whose URL has the same origin as the
+ * <code>baseUri</code> option (or which are accepted by the <code>wikiLinkFilter</code> option) will be output as wiki
+ * links (e.g. <code>[[Page Name|foo]]</code>) instead, using the <code>wikiLinkResolver</code> option to resolve the
+ * name of the page from the URL. Regular links are still output where the page name or text contain pipes or brackets.
+ *
+ * The URL is rewritten using the {@link UrlService}, where one has been configured, and then sanitized based on the
+ * <code>sanitize</code> option. Anchors whose URL is not allowed are treated as plain text, unless the
+ * <code>sanitizePlaceholder</code> option is specified, in which case it is used as the URL instead.
+ *
+ * Anchors without a <code>title</code> whose text is the same as their URL (or email address, for <code>mailto:</code>
+ * URLs) are output as autolinks (e.g. <code>&lt;https://example.com&gt;</code>) instead. If the
+ * <code>extendedAutolinks</code> option is enabled, then the URL will be output without angle brackets, where it's safe
+ * to do so.
  *
  * @public
  * @class
@@ -55,24 +133,7 @@ var AnchorPlugin = Plugin.extend({
    * @override
    */
   afterAll: function(conversion) {
-    var anchors = conversion.context.anchors;
-    if (!anchors.length) {
-      return;
-    }
-
-    conversion.append('\n\n');
-
-    for (var i = 0; i < anchors.length; i++) {
-      conversion.append('[anchor' + i + ']: ' + anchors[i] + '\n');
-    }
-  },
-
-  /**
-   * @override
-   */
-  beforeAll: function(conversion) {
-    conversion.context.anchorMap = {};
-    conversion.context.anchors = [];
+    conversion.appendReferences();
   },
 
   /**
@@ -86,25 +147,58 @@ var AnchorPlugin = Plugin.extend({
       return true;
     }
 
-    var anchorMap = conversion.context.anchorMap;
-    var anchors = conversion.context.anchors;
     var title = element.getAttribute('title');
-    var value = title ? href + ' "' + title + '"' : href;
-    var index;
+    var url = conversion.europa.sanitizeUrl(conversion.europa.rewriteUrl(href, {
+      element: element,
+      kind: 'anchor'
+    }));
+    if (url == null) {
+      return true;
+    }
+
+    var autolink, label, page;
 
-    if (options.inline) {
-      context.value = '(' + value + ')';
-    } else {
-      index = anchorMap[value];
-      if (index == null) {
-        index = anchors.push(value) - 1;
+    if (options.linkStyle === 'wiki' && isInternal(element, options, conversion.document)) {
+      page = (options.wikiLinkResolver || resolvePageName)(element.href, element);
+      label = element.textContent.replace(/\s+/g, ' ').trim();
 
-        anchorMap[value] = index;
+      // Pipes and brackets cannot be escaped within wiki links so a regular link is output instead
+      if (page && !/[[\]|]/.test(page + label)) {
+        conversion.output('[[' + page + (label && label !== page ? '|' + label : '') + ']]');
+
+        return false;
       }
+    }
+
+    // Autolinks are only possible where the URL remains unchanged as its text would otherwise be misleading
+    if (!title && url === href) {
+      autolink = getAutolink(element, href, options);
 
-      context.value = '[anchor' + index + ']';
+      if (autolink) {
+        conversion.output(autolink);
+
+        return false;
+      }
+    }
+
+    if (!options.inlineLinks && /^(?:collapsed|shortcut)$/.test(options.referenceLabels)) {
+      label = conversion.europa.convertContents(element, conversion).replace(/\s*\n\s*/g, ' ');
+
+      conversion.output('[' + label + ']' + AnchorPlugin.createDestination(conversion, {
+        text: label,
+        title: title,
+        url: url
+      }));
+
+      return false;
     }
 
+    context.value = AnchorPlugin.createDestination(conversion, {
+      text: element.textContent,
+      title: title,
+      url: url
+    });
+
     conversion.output('[');
 
     conversion.atNoWhiteSpace = true;
@@ -119,6 +213,25 @@ var AnchorPlugin = Plugin.extend({
     return [ 'a' ];
   }
 
+}, {
+
+  /**
+   * Creates the destination of a link for the specified <code>reference</code>.
+   *
+   * If the <code>inlineLinks</code> option is enabled, then the destination will be inline (e.g. <code>(/bar)</code>).
+   * Otherwise, it will be a reference to a definition which is to be output later (see {@link ReferenceManager}).
+   *
+   * @param {Conversion} conversion - the current {@link Conversion}
+   * @param {ReferenceManager~Reference} reference - the reference to the URL
+   * @return {string} The link destination.
+   * @public
+   * @static
+   * @memberof AnchorPlugin
+   */
+  createDestination: function(conversion, reference) {
+    return conversion.references.add('link', reference, conversion.element);
+  }
+
 });
 
 Europa.register(new AnchorPlugin());
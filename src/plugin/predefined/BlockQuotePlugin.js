@@ -38,33 +38,18 @@ var BlockQuotePlugin = Plugin.extend({
    * @override
    */
   after: function(conversion, context) {
-    conversion.atLeft = false;
-    conversion.atParagraph = false;
-    conversion.left = context.previousLeft;
-
-    conversion.appendParagraph();
-  },
-
-  /**
-   * @override
-   */
-  before: function(conversion, context) {
-    context.previousLeft = conversion.left;
+    conversion
+      .closeContainer()
+      .appendParagraph();
   },
 
   /**
    * @override
    */
   convert: function(conversion, context) {
-    var value = '> ';
-
-    conversion.left += value;
-
-    if (conversion.atParagraph) {
-      conversion.append(value);
-    } else {
-      conversion.appendParagraph();
-    }
+    conversion
+      .appendParagraph()
+      .openContainer('blockquote', '> ');
 
     return true;
   },
@@ -73,10 +58,7 @@ var BlockQuotePlugin = Plugin.extend({
    * @override
    */
   getTagNames: function() {
-    return [
-      'blockquote',
-      'dd'
-    ];
+    return [ 'blockquote' ];
   }
 
 });
@@ -26,7 +26,7 @@ var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
 
 /**
- * A {@link Plugin} which outputs an inline line break.
+ * A {@link Plugin} which outputs an inline line break, preceded by the <code>lineBreak</code> option.
  *
  * @public
  * @class
@@ -38,7 +38,7 @@ var BreakPlugin = Plugin.extend({
    * @override
    */
   convert: function(conversion, context) {
-    conversion.append('  ' + conversion.left);
+    conversion.append(conversion.options.lineBreak + conversion.left);
 
     conversion.atLeft = true;
     conversion.atNoWhiteSpace = true;
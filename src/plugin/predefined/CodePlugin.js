@@ -24,9 +24,17 @@
 
 var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
+var Utilities = require('../../util/Utilities');
 
 /**
- * A {@link Plugin} which outputs the contents in a code block.
+ * A {@link Plugin} which outputs the contents in a code span.
+ *
+ * The code span is delimited by a run of backticks that is longer than any run of backticks within the contents, which
+ * are padded with a space if they start or end with a backtick or space, as backslash escapes are not supported within
+ * code spans. Any line breaks within the contents are replaced with spaces.
+ *
+ * If the <code>kbdStyle</code> option is <code>html</code>, then keyboard input will be output as a <code>kbd</code>
+ * HTML element instead of a code span.
  *
  * @public
  * @class
@@ -38,33 +46,35 @@ var CodePlugin = Plugin.extend({
    * @override
    */
   after: function(conversion, context) {
-    if (!context.skipped) {
-      conversion.inCodeBlock = context.previousInCodeBlock;
-
-      conversion.output('`');
+    if (context.html) {
+      conversion.output('</kbd>');
     }
   },
 
-  /**
-   * @override
-   */
-  before: function(conversion, context) {
-    context.previousInCodeBlock = conversion.inCodeBlock;
-  },
-
   /**
    * @override
    */
   convert: function(conversion, context) {
     if (conversion.inPreformattedBlock) {
-      context.skipped = true;
-    } else {
-      conversion.output('`');
+      return true;
+    }
+
+    if (conversion.tagName === 'kbd' && conversion.options.kbdStyle === 'html') {
+      context.html = true;
+
+      conversion.output('<kbd>');
 
-      conversion.inCodeBlock = true;
+      conversion.atNoWhiteSpace = true;
+
+      return true;
+    }
+
+    var value = conversion.element.textContent.replace(/\r?\n/g, ' ');
+    if (value) {
+      conversion.output(CodePlugin.createSpan(value));
     }
 
-    return true;
+    return false;
   },
 
   /**
@@ -78,6 +88,35 @@ var CodePlugin = Plugin.extend({
     ];
   }
 
+}, {
+
+  /**
+   * Creates a code span for the specified <code>value</code>.
+   *
+   * The delimiter used will be a run of backticks that is longer than the longest run of backticks within
+   * <code>value</code> and <code>value</code> will be padded with spaces if it starts or ends with a backtick or space,
+   * unless it consists only of spaces.
+   *
+   * @param {string} value - the contents of the code span
+   * @return {string} The code span containing <code>value</code>.
+   * @public
+   * @static
+   * @memberof CodePlugin
+   */
+  createSpan: function(value) {
+    var length = 1;
+    var matches = value.match(/`+/g) || [];
+
+    matches.forEach(function(match) {
+      length = Math.max(length, match.length + 1);
+    });
+
+    var delimiter = Utilities.leftPad('', length, '`');
+    var padding = /^[` ]|[` ]$/.test(value) && !/^ +$/.test(value) ? ' ' : '';
+
+    return delimiter + padding + value + padding + delimiter;
+  }
+
 });
 
 Europa.register(new CodePlugin());
@@ -0,0 +1,85 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+
+/**
+ * A {@link Plugin} which outputs a definition description.
+ *
+ * If the <code>definitionLists</code> option is enabled, then the description will be output within a container
+ * prefixed by a colon (e.g. <code>:   foo</code>) so that any block content is indented. Otherwise, the description
+ * will be output as a paragraph within the list item opened by {@link DefinitionTermPlugin}.
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var DefinitionDescriptionPlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  after: function(conversion, context) {
+    if (context.container) {
+      conversion.closeContainer();
+    }
+  },
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var element = conversion.element;
+    var previous = element.previousElementSibling;
+
+    if (!conversion.options.definitionLists) {
+      conversion.appendParagraph();
+
+      return true;
+    }
+
+    if (previous && previous.tagName.toLowerCase() === 'dd' && element.querySelector('p')) {
+      conversion.appendParagraph();
+    }
+
+    context.container = true;
+
+    conversion.openContainer('definition', '    ', ':   ');
+
+    return true;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [ 'dd' ];
+  }
+
+});
+
+Europa.register(new DefinitionDescriptionPlugin());
+
+module.exports = DefinitionDescriptionPlugin;
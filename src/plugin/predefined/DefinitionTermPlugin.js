@@ -26,7 +26,11 @@ var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
 
 /**
- * A {@link Plugin} which outputs a definition term as strong text.
+ * A {@link Plugin} which outputs a definition term on a single line.
+ *
+ * If the <code>definitionLists</code> option is enabled, then the term will be output as-is, separated from any
+ * previous group of terms and descriptions by a blank line. Otherwise, the term will be output as strong text at the
+ * start of a new list item, within which its descriptions will be output.
  *
  * @public
  * @class
@@ -34,24 +38,44 @@ var Plugin = require('../Plugin');
  */
 var DefinitionTermPlugin = Plugin.extend({
 
-  /**
-   * @override
-   */
-  after: function(conversion, context) {
-    conversion.output('**');
-  },
-
   /**
    * @override
    */
   convert: function(conversion, context) {
-    conversion.appendParagraph();
+    var containers = conversion.containers;
+    var element = conversion.element;
+    var options = conversion.options;
+    var previous = element.previousElementSibling;
+    var value = conversion.europa.convertContents(element, conversion).replace(/\s*\n\s*/g, ' ');
+    var marker;
+
+    if (options.definitionLists) {
+      if (!conversion.atLeft) {
+        conversion.append(conversion.left);
+
+        conversion.atLeft = true;
+      }
+      if (previous && previous.tagName.toLowerCase() === 'dd') {
+        conversion.appendParagraph();
+      }
+
+      conversion.output(value);
+    } else {
+      if (containers.length && containers[containers.length - 1].name === 'definitionItem') {
+        conversion.closeContainer();
+      }
 
-    conversion.output('**');
+      marker = options.bulletListMarker;
+      if (Array.isArray(marker)) {
+        marker = marker[0];
+      }
 
-    conversion.atNoWhiteSpace = true;
+      conversion
+        .openContainer('definitionItem', '  ', marker + ' ')
+        .output(options.strongDelimiter + value + options.strongDelimiter);
+    }
 
-    return true;
+    return false;
   },
 
   /**
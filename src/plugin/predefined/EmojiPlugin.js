@@ -0,0 +1,133 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+var Utilities = require('../../util/Utilities');
+var emojiByShortcode = require('../../data/emoji.json');
+
+var classNameRegExp = /(?:^|\s)(?:emoji|emojione|joypixels|twemoji|wp-smiley)(?:\s|$)/i;
+var shortcodeRegExp = /^:([a-z0-9_+-]+):$/i;
+var shortcodesByEmoji = {};
+
+function normalize(emoji) {
+  return emoji.replace(/\uFE0F/g, '');
+}
+
+Utilities.forOwn(emojiByShortcode, function(emoji, shortcode) {
+  var key = normalize(emoji);
+
+  if (!Utilities.hasOwn(shortcodesByEmoji, key)) {
+    shortcodesByEmoji[key] = shortcode;
+  }
+});
+
+function getEmoji(element, tagName) {
+  var emoji, shortcode;
+
+  if (tagName === 'g-emoji') {
+    shortcode = element.getAttribute('alias');
+    emoji = element.textContent.trim();
+  } else if (classNameRegExp.test(element.getAttribute('class') || '')) {
+    [ element.getAttribute('alt'), element.getAttribute('title'), element.getAttribute('data-emoji') ]
+      .forEach(function(value) {
+        value = (value || '').trim();
+
+        if (shortcodeRegExp.test(value)) {
+          shortcode = shortcode || value.match(shortcodeRegExp)[1];
+        } else if (value && !/[\w\s]/.test(value)) {
+          emoji = emoji || value;
+        }
+      });
+  }
+
+  shortcode = shortcode || (emoji ? shortcodesByEmoji[normalize(emoji)] : null);
+  emoji = emoji || (shortcode && Utilities.hasOwn(emojiByShortcode, shortcode) ? emojiByShortcode[shortcode] : null);
+
+  return emoji || shortcode ? {
+    emoji: emoji,
+    shortcode: shortcode
+  } : null;
+}
+
+/**
+ * A {@link Plugin} which outputs emoji that have been rendered as images (e.g. by Twemoji, WordPress, or Slack) or
+ * GitHub's <code>g-emoji</code> elements.
+ *
+ * If the <code>emojiStyle</code> option is <code>shortcode</code>, then the emoji will be output as a shortcode (e.g.
+ * <code>:smile:</code>). Otherwise, it will be output as the Unicode character. Either will be used where the other
+ * cannot be determined from the element or the built-in table of GitHub's shortcodes. Any special characters within
+ * the emoji are escaped.
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var EmojiPlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var emoji = getEmoji(conversion.element, conversion.tagName);
+
+    if (emoji.shortcode && (conversion.options.emojiStyle === 'shortcode' || !emoji.emoji)) {
+      conversion.output(':' + emoji.shortcode + ':');
+    } else {
+      // Emoji taken from the element rather than the built-in table could otherwise contain Markdown or HTML syntax
+      conversion.output(conversion.clean(emoji.emoji).replace(/</g, '\\<'));
+    }
+
+    return false;
+  },
+
+  /**
+   * @override
+   */
+  getPriority: function() {
+    return 1;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [
+      'g-emoji',
+      'img'
+    ];
+  },
+
+  /**
+   * @override
+   */
+  supports: function(conversion) {
+    return getEmoji(conversion.element, conversion.tagName) != null;
+  }
+
+});
+
+Europa.register(new EmojiPlugin());
+
+module.exports = EmojiPlugin;
@@ -26,7 +26,7 @@ var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
 
 /**
- * A {@link Plugin} which outputs as emphasised text.
+ * A {@link Plugin} which outputs as emphasised text using the <code>emphasisDelimiter</code> option.
  *
  * @public
  * @class
@@ -38,14 +38,14 @@ var EmphasisPlugin = Plugin.extend({
    * @override
    */
   after: function(conversion, context) {
-    conversion.output('_');
+    conversion.output(conversion.options.emphasisDelimiter);
   },
 
   /**
    * @override
    */
   convert: function(conversion, context) {
-    conversion.output('_');
+    conversion.output(conversion.options.emphasisDelimiter);
 
     conversion.atNoWhiteSpace = true;
 
@@ -61,7 +61,6 @@ var EmphasisPlugin = Plugin.extend({
       'dfn',
       'em',
       'i',
-      'u',
       'var'
     ];
   }
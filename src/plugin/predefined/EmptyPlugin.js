@@ -48,11 +48,8 @@ var EmptyPlugin = Plugin.extend({
     return [
       'applet',
       'area',
-      'audio',
       'button',
-      'canvas',
       'datalist',
-      'embed',
       'head',
       'input',
       'map',
@@ -60,7 +57,6 @@ var EmptyPlugin = Plugin.extend({
       'meter',
       'noframes',
       'noscript',
-      'object',
       'optgroup',
       'option',
       'param',
@@ -72,8 +68,7 @@ var EmptyPlugin = Plugin.extend({
       'select',
       'style',
       'textarea',
-      'title',
-      'video'
+      'title'
     ];
   }
 
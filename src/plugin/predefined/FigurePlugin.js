@@ -0,0 +1,162 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+
+function getCaption(element) {
+  for (var i = 0; i < element.children.length; i++) {
+    if (element.children[i].tagName.toLowerCase() === 'figcaption') {
+      return element.children[i];
+    }
+  }
+
+  return null;
+}
+
+function getImage(element, caption) {
+  var images = Array.prototype.filter.call(element.querySelectorAll('img'), function(image) {
+    return !caption || !caption.contains(image);
+  });
+
+  return images.length === 1 ? images[0] : null;
+}
+
+/**
+ * A {@link Plugin} which outputs a figure along with its caption.
+ *
+ * Where the figure contains a single image, the caption is paired with it based on the <code>figureCaptions</code>
+ * option; either as the title of the image (<code>title</code>), or as the alternative text of an image alone in its
+ * own paragraph so that it becomes an implicit figure (<code>implicit</code>). Otherwise, the caption is output as
+ * emphasised text directly below the contents of the figure (e.g. code blocks and tables). The caption is also used as
+ * the alternative text of the image when it has none.
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var FigurePlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  after: function(conversion, context) {
+    if (!context.figure) {
+      conversion.appendParagraph();
+
+      return;
+    }
+
+    var caption = context.caption;
+    var delimiter = conversion.options.emphasisDelimiter;
+    var value;
+
+    conversion.figure = context.previousFigure;
+
+    if (caption && !context.captioned) {
+      value = conversion.europa.convertContents(caption, conversion).replace(/\s*\n\s*/g, ' ');
+
+      // Avoid emphasis within the caption from closing the emphasis of the caption itself
+      if (value.indexOf(delimiter) !== -1) {
+        delimiter = delimiter === '*' ? '_' : '*';
+      }
+
+      if (value) {
+        conversion
+          .appendParagraph()
+          .output(delimiter + value + delimiter);
+      }
+    }
+
+    conversion.appendParagraph();
+  },
+
+  /**
+   * @override
+   */
+  before: function(conversion, context) {
+    context.previousFigure = conversion.figure;
+  },
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var element = conversion.element;
+
+    if (conversion.tagName === 'figcaption') {
+      if (element.parentNode && element.parentNode.tagName.toLowerCase() === 'figure') {
+        return false;
+      }
+
+      conversion.appendParagraph();
+
+      return true;
+    }
+
+    var style = conversion.options.figureCaptions;
+    var caption = getCaption(element);
+    var image = getImage(element, caption);
+    var text = caption ? caption.textContent.replace(/\s+/g, ' ').trim() : '';
+    var alternativeText = image ? image.getAttribute('alt') || '' : '';
+    var title = image ? image.getAttribute('title') : null;
+
+    context.caption = caption;
+    context.figure = true;
+    context.captioned = Boolean(image && text && (style === 'implicit' || style === 'title'));
+
+    if (context.captioned) {
+      if (style === 'implicit') {
+        alternativeText = text;
+      } else {
+        title = text;
+      }
+    }
+
+    conversion.figure = {
+      alt: alternativeText || text,
+      image: image,
+      title: title
+    };
+
+    conversion.appendParagraph();
+
+    return true;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [
+      'figcaption',
+      'figure'
+    ];
+  }
+
+});
+
+Europa.register(new FigurePlugin());
+
+module.exports = FigurePlugin;
@@ -0,0 +1,260 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var DOMUtilities = require('../../util/DOMUtilities');
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+
+var backlinkSelector = [
+  '.footnote-back',
+  '.footnote-backref',
+  '.mw-cite-backlink',
+  '.reversefootnote',
+  '[role="doc-backlink"]',
+  'a[href^="#_ftnref"]',
+  'a[href^="#cite_ref"]',
+  'a[href^="#fnref"]'
+].join(', ');
+var containerSelector = [
+  '.footnotes',
+  '.reflist',
+  '[role="doc-endnotes"]',
+  '[style*="mso-element:footnote-list"]',
+  'ol.references'
+].join(', ');
+var definitionSelector = [
+  'li',
+  '[role="doc-endnote"]',
+  '[role="doc-footnote"]',
+  '[style*="mso-element:footnote"]:not([style*="mso-element:footnote-list"])'
+].join(', ');
+var referenceSelector = [
+  '.footnote',
+  '.footnote-ref',
+  '.footnoteRef',
+  '[rel~="footnote"]',
+  '[role="doc-noteref"]',
+  '[style*="mso-footnote-id"]'
+].join(', ');
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    // Malformed values are left as they are
+    return value;
+  }
+}
+
+function getDefinition(anchor, document) {
+  var href = anchor.getAttribute('href') || '';
+  if (href.charAt(0) !== '#' || href.length === 1 || DOMUtilities.matches(anchor, backlinkSelector)) {
+    return null;
+  }
+
+  if (!DOMUtilities.matches(anchor, referenceSelector) && !/^#(?:cite_note|fn(?!ref)|_ftn(?!ref))/.test(href)) {
+    return null;
+  }
+
+  var id = decode(href.substring(1));
+  var target = document.getElementById(id) || document.getElementsByName(id)[0];
+
+  return target ? DOMUtilities.closest(target, definitionSelector) || target : null;
+}
+
+function getOnlyChild(element) {
+  var result = null;
+
+  for (var i = 0; i < element.childNodes.length; i++) {
+    var child = element.childNodes[i];
+
+    if (child.nodeType === 1) {
+      if (result) {
+        return null;
+      }
+
+      result = child;
+    } else if (child.nodeType === 3 && /\S/.test(child.nodeValue)) {
+      return null;
+    }
+  }
+
+  return result;
+}
+
+function getReference(element, tagName) {
+  if (tagName === 'sup') {
+    element = getOnlyChild(element);
+  }
+
+  return element && element.tagName.toLowerCase() === 'a' ? element : null;
+}
+
+/**
+ * A {@link Plugin} which outputs footnote references (e.g. <code>[^1]</code>) and collects the definitions of those
+ * footnotes so that they can be output at the very end (e.g. <code>[^1]: foo</code>).
+ *
+ * The footnote markup generated by Pandoc, kramdown, MultiMarkdown, Wikipedia, and Microsoft Word is supported. Any
+ * back-references within the footnote definitions are removed and the containers of the definitions are only used to
+ * collect any definitions which were never referenced.
+ *
+ * Footnotes are only converted if the <code>footnotes</code> option is enabled. Otherwise, the elements will be
+ * converted by the other plugins registered for their tags (e.g. {@link AnchorPlugin}).
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var FootnotePlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  afterAll: function(conversion) {
+    var footnotes = conversion.context.footnotes;
+    if (!footnotes.length) {
+      return;
+    }
+
+    conversion
+      .appendParagraph()
+      .output(footnotes.map(function(footnote, index) {
+        return '[^' + (index + 1) + ']: ' + footnote.replace(/\n(?=[^\n])/g, '\n    ');
+      }).join('\n'));
+  },
+
+  /**
+   * @override
+   */
+  beforeAll: function(conversion) {
+    conversion.context.footnoteDefinitions = [];
+    conversion.context.footnotes = [];
+  },
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var element = conversion.element;
+    var tagName = conversion.tagName;
+    var definitions, i;
+
+    if (tagName === 'a' || tagName === 'sup') {
+      conversion.output('[^' + this._addFootnote(getDefinition(getReference(element, tagName), conversion.document),
+        conversion) + ']');
+    } else {
+      definitions = element.querySelectorAll(definitionSelector);
+
+      for (i = 0; i < definitions.length; i++) {
+        if (definitions[i].id) {
+          this._addFootnote(definitions[i], conversion);
+        }
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * @override
+   */
+  getPriority: function() {
+    return 1;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [
+      'a',
+      'aside',
+      'div',
+      'ol',
+      'section',
+      'sup'
+    ];
+  },
+
+  /**
+   * @override
+   */
+  supports: function(conversion) {
+    if (!conversion.options.footnotes) {
+      return false;
+    }
+
+    var element = conversion.element;
+    var tagName = conversion.tagName;
+
+    if (tagName === 'a' || tagName === 'sup') {
+      element = getReference(element, tagName);
+
+      return element != null && getDefinition(element, conversion.document) != null;
+    }
+
+    return DOMUtilities.matches(element, containerSelector);
+  },
+
+  /**
+   * Adds the footnote for the specified <code>definition</code> element, if it has not already been added, and returns
+   * its label.
+   *
+   * The contents of <code>definition</code> are converted into Markdown, excluding any back-references, using the
+   * <code>conversion</code> provided.
+   *
+   * @param {Element} definition - the element containing the footnote definition
+   * @param {Conversion} conversion - the current {@link Conversion}
+   * @return {number} The label for the footnote.
+   * @private
+   * @memberof FootnotePlugin#
+   */
+  _addFootnote: function(definition, conversion) {
+    var definitions = conversion.context.footnoteDefinitions;
+    var footnotes = conversion.context.footnotes;
+    var index = definitions.indexOf(definition);
+    if (index !== -1) {
+      return index + 1;
+    }
+
+    index = definitions.push(definition) - 1;
+    footnotes.push('');
+
+    var clone = definition.cloneNode(true);
+    var backlinks = clone.querySelectorAll(backlinkSelector);
+
+    for (var i = 0; i < backlinks.length; i++) {
+      backlinks[i].parentNode.removeChild(backlinks[i]);
+    }
+
+    footnotes[index] = conversion.europa.convertContents(clone, conversion);
+
+    return index + 1;
+  }
+
+});
+
+Europa.register(new FootnotePlugin());
+
+module.exports = FootnotePlugin;
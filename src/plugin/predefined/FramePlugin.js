@@ -22,12 +22,31 @@
 
 'use strict';
 
+var AnchorPlugin = require('./AnchorPlugin');
+var DOMUtilities = require('../../util/DOMUtilities');
 var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
 
+function getDocument(element) {
+  try {
+    var window = element.contentWindow;
+
+    return window && window.document && window.document.body ? window.document : null;
+  } catch (e) {
+    // Cross-origin frames cannot be accessed
+    return null;
+  }
+}
+
 /**
  * A {@link Plugin} which outputs the contents of nested frame.
  *
+ * Where the document of the frame cannot be accessed (e.g. as it has a different origin) or is empty, a link to the
+ * source of the frame is output instead, having been rewritten using the {@link UrlService}, where one has been
+ * configured, and then sanitized based on the <code>sanitize</code> option. The label is taken from the
+ * <code>title</code> or <code>name</code> of the frame, before falling back on the URL. Nothing is output for frames
+ * whose source is not allowed.
+ *
  * @public
  * @class
  * @extends Plugin
@@ -52,14 +71,44 @@ var FramePlugin = Plugin.extend({
    * @override
    */
   convert: function(conversion, context) {
-    var window = conversion.element.contentWindow;
+    var element = conversion.element;
+    var document = getDocument(element);
+    var label, source, url;
 
-    if (window) {
-      conversion.window = window;
+    if (document && (document.body.hasChildNodes() || !element.getAttribute('src'))) {
+      conversion.window = document.defaultView;
+
+      conversion.europa.convertElement(document.body, conversion);
+
+      return false;
+    }
 
-      conversion.europa.convertElement(window.document.body, conversion);
+    source = element.getAttribute('src');
+    if (!source) {
+      return false;
     }
 
+    if (conversion.options.absolute) {
+      source = DOMUtilities.resolveUrl(source, conversion.document);
+    }
+
+    label = conversion.clean([ 'title', 'name' ].reduce(function(result, name) {
+      return result || (element.getAttribute(name) || '').replace(/\s+/g, ' ').trim();
+    }, '') || source);
+
+    url = conversion.europa.sanitizeUrl(conversion.europa.rewriteUrl(source, {
+      element: element,
+      kind: 'frame'
+    }));
+    if (url == null) {
+      return false;
+    }
+
+    conversion.output('[' + label + ']' + AnchorPlugin.createDestination(conversion, {
+      text: label,
+      url: url
+    }));
+
     return false;
   },
 
@@ -24,10 +24,20 @@
 
 var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
+var Utilities = require('../../util/Utilities');
 
 /**
  * A {@link Plugin} which outputs a heading of various levels.
  *
+ * The contents of the heading are always collapsed onto a single line. The level of the heading is shifted by the
+ * <code>headingOffset</code> option and then clamped between 1 and the <code>maxHeadingLevel</code> option.
+ *
+ * If the <code>headingStyle</code> option is <code>setext</code>, then headings of the first and second levels will be
+ * underlined. Otherwise, all headings will be prefixed with a hash for each level.
+ *
+ * If the <code>headingIds</code> option is enabled, then the <code>id</code> of the heading, if any, will be appended
+ * as an attribute (e.g. <code>{#foo}</code>).
+ *
  * @public
  * @class
  * @extends Plugin
@@ -38,18 +48,39 @@ var HeadingPlugin = Plugin.extend({
    * @override
    */
   convert: function(conversion, context) {
-    var level = parseInt(conversion.tagName.match(/([1-6])$/)[1], 10);
+    var element = conversion.element;
+    var options = conversion.options;
+
+    if (options.referencePlacement === 'section') {
+      conversion.appendReferences();
+    }
+
+    var value = conversion.europa.convertContents(element, conversion)
+      .replace(/(?:[ ]{2,}|\\)\n/g, '\n')
+      .replace(/\s*\n\s*/g, ' ');
+    if (!value) {
+      return false;
+    }
+
+    var level = parseInt(conversion.tagName.match(/([1-6])$/)[1], 10) + (parseInt(options.headingOffset, 10) || 0);
+    level = Math.max(Math.min(level, options.maxHeadingLevel, 6), 1);
+
+    var id = element.getAttribute('id');
+    if (options.headingIds && id && !/\s/.test(id)) {
+      value += ' {#' + id + '}';
+    }
 
     conversion.appendParagraph();
 
-    var heading = '';
-    for (var i = 0; i < level; i++) {
-      heading += '#';
+    if (options.headingStyle === 'setext' && level <= 2) {
+      conversion.output(value + '\n' + Utilities.leftPad('', Math.max(value.length, 3), level === 1 ? '=' : '-'));
+    } else {
+      conversion.output(Utilities.leftPad(' ', level, '#') + value);
     }
 
-    conversion.output(heading + ' ');
+    conversion.appendParagraph();
 
-    return true;
+    return false;
   },
 
   /**
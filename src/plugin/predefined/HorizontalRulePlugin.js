@@ -26,7 +26,7 @@ var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
 
 /**
- * A {@link Plugin} which outputs a horizontal rule.
+ * A {@link Plugin} which outputs a horizontal rule using the <code>horizontalRule</code> option.
  *
  * @public
  * @class
@@ -40,7 +40,7 @@ var HorizontalRulePlugin = Plugin.extend({
   convert: function(conversion, context) {
     conversion
       .appendParagraph()
-      .output('---')
+      .output(conversion.options.horizontalRule)
       .appendParagraph();
 
     return false;
@@ -0,0 +1,300 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+
+var blockTagNames = [
+  'center',
+  'dialog',
+  'dir',
+  'form',
+  'hgroup',
+  'legend',
+  'main',
+  'summary'
+];
+var voidTagNames = [
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr'
+];
+var rawTextTagNames = [ 'script', 'style' ];
+var urlAttributeNames = [
+  'action',
+  'background',
+  'cite',
+  'data',
+  'formaction',
+  'href',
+  'longdesc',
+  'poster',
+  'src',
+  'xlink:href'
+];
+
+function escapeText(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+function isSanitizing(conversion) {
+  return Boolean(conversion && conversion.options.sanitize);
+}
+
+function sanitizeAttribute(name, value, conversion) {
+  if (!isSanitizing(conversion)) {
+    return value;
+  }
+
+  // Event handlers and inline documents can run scripts regardless of any URLs
+  if (/^on/i.test(name) || name === 'srcdoc') {
+    return null;
+  }
+
+  if (name === 'srcset') {
+    return value.split(',').every(function(candidate) {
+      var url = candidate.trim().split(/\s+/)[0];
+
+      return !url || conversion.europa.sanitizeUrl(url) === url;
+    }) ? value : null;
+  }
+
+  return urlAttributeNames.indexOf(name) !== -1 ? conversion.europa.sanitizeUrl(value) : value;
+}
+
+/**
+ * A {@link Plugin} which outputs elements that are not understood by any other plugin as raw HTML.
+ *
+ * Only elements allowed by the <code>html</code> option (or all elements, if it is <code>true</code>) are output, with
+ * any attributes that are not allowed by the <code>htmlAttributes</code> option removed. The children of inline
+ * elements are always converted into Markdown, however, the children of block elements are only converted where the
+ * <code>markdownInHtml</code> option is enabled and are otherwise output as HTML, with the same attributes removed
+ * from all descendants.
+ *
+ * As this plugin is only used for elements that no other plugin supports, the <code>html</code> option has no effect on
+ * the likes of <code>div</code> and <code>section</code>, which are always converted by {@link ParagraphPlugin}.
+ *
+ * If the <code>sanitize</code> option is enabled, then the URLs within any attributes are sanitized, with those that
+ * are not allowed being removed, and event handler attributes and scripts are removed altogether (see
+ * {@link HtmlPlugin.serialize}).
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var HtmlPlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  after: function(conversion, context) {
+    if (context.endTag == null) {
+      return;
+    }
+
+    if (context.block) {
+      conversion
+        .appendParagraph()
+        .output(context.endTag)
+        .appendParagraph();
+    } else {
+      conversion.output(context.endTag);
+    }
+  },
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var element = conversion.element;
+    var options = conversion.options;
+    var startTag = HtmlPlugin.createStartTag(element, options.htmlAttributes, conversion);
+
+    if (voidTagNames.indexOf(conversion.tagName) !== -1) {
+      conversion.output(startTag);
+
+      return false;
+    }
+
+    if (blockTagNames.indexOf(conversion.tagName) === -1) {
+      context.endTag = '</' + conversion.tagName + '>';
+
+      conversion.output(startTag);
+
+      return true;
+    }
+
+    if (!options.markdownInHtml) {
+      conversion
+        .appendParagraph()
+        .output(HtmlPlugin.serialize(element, options.htmlAttributes, conversion).replace(/\n([ \t]*\n)+/g, '\n'))
+        .appendParagraph();
+
+      return false;
+    }
+
+    context.block = true;
+    context.endTag = '</' + conversion.tagName + '>';
+
+    conversion
+      .appendParagraph()
+      .output(startTag)
+      .appendParagraph();
+
+    return true;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [ '*' ];
+  },
+
+  /**
+   * @override
+   */
+  supports: function(conversion) {
+    var html = conversion.options.html;
+
+    if (typeof html === 'function') {
+      return Boolean(html(conversion.element, conversion));
+    }
+
+    return html === true || (Array.isArray(html) && html.indexOf(conversion.tagName) !== -1);
+  }
+
+}, {
+
+  /**
+   * Creates the start tag for the specified <code>element</code> containing only the attributes whose names are within
+   * <code>attributeNames</code>, where specified.
+   *
+   * If the <code>sanitize</code> option is enabled for the <code>conversion</code>, where specified, then any event
+   * handler attributes are removed and any URL attributes are sanitized, with those whose URLs are not allowed being
+   * removed.
+   *
+   * @param {Element} element - the element whose start tag is to be created
+   * @param {string[]} [attributeNames] - the names of the attributes to be included (may be <code>null</code> to
+   * include all attributes)
+   * @param {Conversion} [conversion] - the current {@link Conversion}
+   * @return {string} The start tag for <code>element</code>.
+   * @public
+   * @static
+   * @memberof HtmlPlugin
+   */
+  createStartTag: function(element, attributeNames, conversion) {
+    var tag = '<' + element.tagName.toLowerCase();
+
+    Array.prototype.forEach.call(element.attributes, function(attribute) {
+      var value = attributeNames == null || attributeNames.indexOf(attribute.name) !== -1
+        ? sanitizeAttribute(attribute.name, attribute.value, conversion)
+        : null;
+
+      if (value != null) {
+        tag += ' ' + attribute.name + '="' + HtmlPlugin.escapeAttribute(value) + '"';
+      }
+    });
+
+    return tag + '>';
+  },
+
+  /**
+   * Escapes the specified <code>value</code> so that it can be safely used as the value of a HTML attribute.
+   *
+   * @param {string} value - the value to be escaped
+   * @return {string} The escaped <code>value</code>.
+   * @public
+   * @static
+   * @memberof HtmlPlugin
+   */
+  escapeAttribute: function(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  },
+
+  /**
+   * Serializes the specified <code>element</code>, including all of its descendants, into HTML containing only the
+   * attributes whose names are within <code>attributeNames</code>, where specified.
+   *
+   * The start tag of each element is created using {@link HtmlPlugin.createStartTag}. If the <code>sanitize</code>
+   * option is enabled for the <code>conversion</code>, where specified, then any scripts are also removed.
+   *
+   * @param {Element} element - the element to be serialized
+   * @param {string[]} [attributeNames] - the names of the attributes to be included (may be <code>null</code> to
+   * include all attributes)
+   * @param {Conversion} [conversion] - the current {@link Conversion}
+   * @return {string} The HTML for <code>element</code>.
+   * @public
+   * @static
+   * @memberof HtmlPlugin
+   */
+  serialize: function(element, attributeNames, conversion) {
+    var tagName = element.tagName.toLowerCase();
+    var html = HtmlPlugin.createStartTag(element, attributeNames, conversion);
+    if (voidTagNames.indexOf(tagName) !== -1) {
+      return html;
+    }
+
+    Array.prototype.forEach.call(element.childNodes, function(child) {
+      switch (child.nodeType) {
+      case 1:
+        if (!isSanitizing(conversion) || child.tagName.toLowerCase() !== 'script') {
+          html += HtmlPlugin.serialize(child, attributeNames, conversion);
+        }
+        break;
+      case 3:
+        html += rawTextTagNames.indexOf(tagName) !== -1 ? child.nodeValue : escapeText(child.nodeValue);
+        break;
+      default:
+        break;
+      }
+    });
+
+    return html + '</' + tagName + '>';
+  }
+
+});
+
+Europa.register(new HtmlPlugin());
+
+module.exports = HtmlPlugin;
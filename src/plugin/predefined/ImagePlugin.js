@@ -22,18 +22,191 @@
 
 'use strict';
 
+var DOMUtilities = require('../../util/DOMUtilities');
 var Europa = require('../../Europa');
+var HtmlPlugin = require('./HtmlPlugin');
 var Plugin = require('../Plugin');
 
+var lazyAttributeNames = [
+  'data-src',
+  'data-original',
+  'data-lazy-src',
+  'data-lazy',
+  'data-echo',
+  'data-url'
+];
+var lazySourceSetAttributeNames = [
+  'data-srcset',
+  'data-lazy-srcset'
+];
+var placeholderRegExps = [
+  // 1x1 GIF and PNG images
+  /^data:image\/(?:gif|png);base64,(?:R0lGODlhAQABA|iVBORw0KGgoAAAANSUhEUgAAAAEAAAAB)/i,
+  // Empty SVG images
+  /^data:image\/svg\+xml(?:;[^,]*)?,(?:<|%3C)svg(?:(?!<|%3C).)*(?:<|%3C)\/svg(?:>|%3E)$/i
+];
+
+function getAttribute(element, names) {
+  for (var i = 0; i < names.length; i++) {
+    if (element.getAttribute(names[i])) {
+      return element.getAttribute(names[i]);
+    }
+  }
+
+  return null;
+}
+
+function isPlaceholder(url) {
+  return placeholderRegExps.some(function(regExp) {
+    return regExp.test(url);
+  });
+}
+
+function parseSourceSet(sourceSet) {
+  var candidates = [];
+  var regExp = /[\s,]*(\S+)/g;
+  var descriptor, index, match, rest, unit, url, value;
+
+  while ((match = regExp.exec(sourceSet)) != null) {
+    url = match[1];
+    descriptor = '';
+
+    if (/,$/.test(url)) {
+      url = url.replace(/,+$/, '');
+    } else {
+      rest = sourceSet.substring(regExp.lastIndex);
+      index = rest.indexOf(',');
+      descriptor = index === -1 ? rest : rest.substring(0, index);
+
+      regExp.lastIndex += index === -1 ? rest.length : index + 1;
+    }
+
+    match = descriptor.match(/^\s*(\d+(?:\.\d+)?)([wx])\s*$/i);
+    unit = match ? match[2].toLowerCase() : 'x';
+    value = match ? parseFloat(match[1]) : 1;
+
+    candidates.push({
+      density: unit === 'x' ? value : null,
+      url: url,
+      width: unit === 'w' ? value : null
+    });
+  }
+
+  return candidates;
+}
+
+function getCandidates(element) {
+  var candidates = [];
+  var picture = element.parentNode;
+  var url = getAttribute(element, lazyAttributeNames) || element.getAttribute('src');
+
+  if (url) {
+    candidates.push({
+      density: 1,
+      url: url,
+      width: null
+    });
+  }
+
+  candidates = candidates.concat(parseSourceSet(getAttribute(element, lazySourceSetAttributeNames) ||
+    element.getAttribute('srcset') || ''));
+
+  if (picture && picture.tagName.toLowerCase() === 'picture') {
+    Array.prototype.forEach.call(picture.children, function(child) {
+      if (child.tagName.toLowerCase() === 'source') {
+        candidates = candidates.concat(parseSourceSet(getAttribute(child, lazySourceSetAttributeNames) ||
+          child.getAttribute('srcset') || ''));
+      }
+    });
+  }
+
+  return candidates.filter(function(candidate) {
+    return candidate.url && !isPlaceholder(candidate.url);
+  });
+}
+
+function getDensity(candidate, element) {
+  var width = parseFloat(element.getAttribute('width'));
+
+  if (candidate.density != null) {
+    return candidate.density;
+  }
+
+  return width > 0 ? candidate.width / width : null;
+}
+
+function selectCandidate(candidates, element, options) {
+  var target = options.imageDensity;
+
+  switch (options.imageSource) {
+  case 'density':
+    return candidates.reduce(function(result, candidate) {
+      var density = getDensity(candidate, element);
+      var resultDensity = result ? getDensity(result, element) : null;
+
+      if (density == null) {
+        return result;
+      }
+      if (resultDensity == null) {
+        return candidate;
+      }
+      if ((density >= target) !== (resultDensity >= target)) {
+        return density >= target ? candidate : result;
+      }
+
+      return Math.abs(density - target) < Math.abs(resultDensity - target) ? candidate : result;
+    }, null) || candidates[0];
+  case 'first':
+    return candidates[0];
+  default:
+    return candidates.reduce(function(result, candidate) {
+      var size = candidate.width != null ? candidate.width : candidate.density;
+      var resultSize = result.width != null ? result.width : result.density;
+
+      // Widths are always considered larger than densities as the original width of the image is unknown
+      if ((candidate.width != null) !== (result.width != null)) {
+        return candidate.width != null ? candidate : result;
+      }
+
+      return size > resultSize ? candidate : result;
+    });
+  }
+}
+
+function isTrackingPixel(element) {
+  var height = element.getAttribute('height');
+  var width = element.getAttribute('width');
+
+  return /^[01](?:px)?$/.test(height) && /^[01](?:px)?$/.test(width);
+}
+
 /**
  * A {@link Plugin} which extracts the URL from an image.
  *
+ * The URL is selected from the <code>src</code> and <code>srcset</code> attributes, those commonly used for
+ * lazy-loading (e.g. <code>data-src</code>), and the sources of any parent <code>picture</code>, while ignoring
+ * placeholder <code>data:</code> URIs (e.g. transparent 1x1 GIFs). Where there are multiple candidates, the
+ * <code>imageSource</code> option determines whether the largest (<code>largest</code>), the one closest to the
+ * <code>imageDensity</code> option (<code>density</code>), or simply the first (<code>first</code>) is used. Tracking
+ * pixels are ignored altogether.
+ *
  * If the <code>absolute</code> option is enabled, then the URL extracted from the image will be absolute. Otherwise,
- * the URL will be exactly as it is in the <code>src</code> attribute.
+ * the URL will be exactly as it is in the attribute. Either way, the URL is rewritten using the {@link UrlService},
+ * where one has been configured, and then sanitized based on the <code>sanitize</code> option. Images whose URL is not
+ * allowed are output as their alternative text, unless the <code>sanitizePlaceholder</code> option is specified, in
+ * which case it is used as the URL instead.
  *
- * If the <code>inline</code> option is enabled, then the URL will be inserted immediately after the <code>alt</code> on
- * the image (e.g. <code>![foo](/bar.png)</code>). Otherwise, all unique URLs will be indexed
- * (e.g. <code>![foo][image0]</code>) and the references will be output at the very end.
+ * If the <code>inlineImages</code> option is enabled, then the URL will be inserted immediately after the
+ * <code>alt</code> on the image, which is escaped (e.g. <code>![foo](/bar.png)</code>). Otherwise, all unique URLs
+ * will be referenced (e.g. <code>![foo][image0]</code>) based on the <code>referenceLabels</code> option and the
+ * definitions will be output based on the <code>referencePlacement</code> option.
+ *
+ * If the <code>imageDimensions</code> option is <code>attributes</code>, then the <code>width</code> and
+ * <code>height</code> of the image will be output as attributes after its URL (e.g.
+ * <code>![foo](/bar.png){width=100}</code> or <code>[image0]: /bar.png {width=100}</code>). If it is
+ * <code>html</code>, then images with either dimension are output as HTML instead.
+ *
+ * The alternative text and title of an image within a figure are determined by the figure (see {@link FigurePlugin}).
  *
  * @public
  * @class
@@ -45,24 +218,7 @@ var ImagePlugin = Plugin.extend({
    * @override
    */
   afterAll: function(conversion) {
-    var images = conversion.context.images;
-    if (!images.length) {
-      return;
-    }
-
-    conversion.append('\n\n');
-
-    for (var i = 0; i < images.length; i++) {
-      conversion.append('[image' + i + ']: ' + images[i] + '\n');
-    }
-  },
-
-  /**
-   * @override
-   */
-  beforeAll: function(conversion) {
-    conversion.context.imageMap = {};
-    conversion.context.images = [];
+    conversion.appendReferences();
   },
 
   /**
@@ -71,32 +227,67 @@ var ImagePlugin = Plugin.extend({
   convert: function(conversion, context) {
     var element = conversion.element;
     var options = conversion.options;
-    var source = options.absolute ? element.src : element.getAttribute('src');
-    if (!source) {
+    var candidates = getCandidates(element);
+    if (!candidates.length || isTrackingPixel(element)) {
       return false;
     }
 
-    var alternativeText = element.getAttribute('alt') || '';
-    var imageMap = conversion.context.imageMap;
-    var images = conversion.context.images;
-    var title = element.getAttribute('title');
-    var value = title ? source + ' "' + title + '"' : source;
-    var index;
+    var source = selectCandidate(candidates, element, options).url;
+    if (options.absolute) {
+      source = DOMUtilities.resolveUrl(source, conversion.document);
+    }
 
-    if (options.inline) {
-      value = '(' + value + ')';
-    } else {
-      index = imageMap[value];
-      if (index == null) {
-        index = images.push(value) - 1;
+    source = conversion.europa.sanitizeUrl(conversion.europa.rewriteUrl(source, {
+      element: element,
+      kind: 'image'
+    }));
 
-        imageMap[value] = index;
+    var figure = conversion.figure && conversion.figure.image === element ? conversion.figure : null;
+    var alternativeText = figure ? figure.alt : element.getAttribute('alt') || '';
+    if (source == null) {
+      conversion.output(alternativeText, true);
+
+      return false;
+    }
+
+    var title = figure ? figure.title : element.getAttribute('title');
+    var dimensions = [ 'width', 'height' ].filter(function(name) {
+      return /^\d+(?:\.\d+)?(?:px|%)?$/.test(element.getAttribute(name));
+    });
+
+    var attributes, tag;
+
+    if (options.imageDimensions === 'html' && dimensions.length) {
+      tag = '<img src="' + HtmlPlugin.escapeAttribute(source) + '" alt="' +
+        HtmlPlugin.escapeAttribute(alternativeText) + '"';
+
+      if (title) {
+        tag += ' title="' + HtmlPlugin.escapeAttribute(title) + '"';
       }
 
-      value = '[image' + index + ']';
+      dimensions.forEach(function(name) {
+        tag += ' ' + name + '="' + element.getAttribute(name) + '"';
+      });
+
+      conversion.output(tag + '>');
+
+      return false;
+    }
+
+    if (options.imageDimensions === 'attributes' && dimensions.length) {
+      attributes = '{' + dimensions.map(function(name) {
+        return name + '=' + element.getAttribute(name);
+      }).join(' ') + '}';
     }
 
-    conversion.output('![' + alternativeText + ']' + value);
+    alternativeText = conversion.clean(alternativeText);
+
+    conversion.output('![' + alternativeText + ']' + ImagePlugin.createDestination(conversion, {
+      attributes: attributes,
+      text: alternativeText,
+      title: title,
+      url: source
+    }));
 
     return false;
   },
@@ -108,6 +299,26 @@ var ImagePlugin = Plugin.extend({
     return [ 'img' ];
   }
 
+}, {
+
+  /**
+   * Creates the destination of an image for the specified <code>reference</code>.
+   *
+   * If the <code>inlineImages</code> option is enabled, then the destination will be inline (e.g.
+   * <code>(/bar.png)</code>). Otherwise, it will be a reference to a definition which is to be output later (see
+   * {@link ReferenceManager}).
+   *
+   * @param {Conversion} conversion - the current {@link Conversion}
+   * @param {ReferenceManager~Reference} reference - the reference to the URL
+   * @return {string} The image destination.
+   * @public
+   * @static
+   * @memberof ImagePlugin
+   */
+  createDestination: function(conversion, reference) {
+    return conversion.references.add('image', reference, conversion.element);
+  }
+
 });
 
 Europa.register(new ImagePlugin());
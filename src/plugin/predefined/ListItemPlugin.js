@@ -26,33 +26,128 @@ var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
 var Utilities = require('../../util/Utilities');
 
+var romanNumerals = [
+  [ 1000, 'm' ],
+  [ 900, 'cm' ],
+  [ 500, 'd' ],
+  [ 400, 'cd' ],
+  [ 100, 'c' ],
+  [ 90, 'xc' ],
+  [ 50, 'l' ],
+  [ 40, 'xl' ],
+  [ 10, 'x' ],
+  [ 9, 'ix' ],
+  [ 5, 'v' ],
+  [ 4, 'iv' ],
+  [ 1, 'i' ]
+];
+
+function isCheckbox(node) {
+  return node.nodeType === 1 && node.tagName.toLowerCase() === 'input' &&
+    (node.getAttribute('type') || '').toLowerCase() === 'checkbox';
+}
+
+function getFirstChild(element) {
+  for (var i = 0; i < element.childNodes.length; i++) {
+    var child = element.childNodes[i];
+
+    if (child.nodeType === 1 || (child.nodeType === 3 && /\S/.test(child.nodeValue))) {
+      return child;
+    }
+  }
+
+  return null;
+}
+
+function getCheckbox(element) {
+  if (/(?:^|\s)task-list-item(?:\s|$)/.test(element.getAttribute('class') || '')) {
+    return element.querySelector('input[type="checkbox"]') || element;
+  }
+
+  var child = getFirstChild(element);
+  if (child && child.nodeType === 1 && child.tagName.toLowerCase() === 'p') {
+    child = getFirstChild(child);
+  }
+
+  return child && isCheckbox(child) ? child : null;
+}
+
 /**
  * A {@link Plugin} which outputs a list item. The prefix for the list item will vary depending on what type of list the
  * item is contained within.
  *
+ * Items in unordered lists use the <code>bulletListMarker</code> option which, if it's an array, will be alternated
+ * based on the depth of the list. Items in ordered lists are numbered based on the <code>start</code> and
+ * <code>reversed</code> attributes of the list as well as the <code>value</code> attribute of the item itself. Ordered
+ * lists can only be numbered using letters or roman numerals if the <code>fancyLists</code> option is enabled.
+ *
+ * If the <code>taskLists</code> option is enabled, then items starting with a checkbox (or which have the
+ * <code>task-list-item</code> class) will be output as task list items (e.g. <code>* [x] foo</code>).
+ *
+ * Each item is output within a container so that all of its contents are indented to match the width of its marker.
+ * Items are separated by blank lines if the list is loose.
+ *
  * @public
  * @class
  * @extends Plugin
  */
 var ListItemPlugin = Plugin.extend({
 
+  /**
+   * @override
+   */
+  after: function(conversion, context) {
+    conversion.closeContainer();
+  },
+
   /**
    * @override
    */
   convert: function(conversion, context) {
-    var value = conversion.inOrderedList ? conversion.listIndex++ + '. ' : '* ';
+    var element = conversion.element;
+    var options = conversion.options;
+    var checkbox, prefix, value;
+
+    if (conversion.inOrderedList) {
+      var number = parseInt(element.getAttribute('value'), 10);
+      if (isNaN(number)) {
+        number = conversion.listIndex;
+      }
+
+      conversion.listIndex = conversion.listReversed ? number - 1 : number + 1;
+
+      if (options.fancyLists && conversion.listType !== '1') {
+        value = ListItemPlugin.formatNumber(number, conversion.listType) + '.';
+        value += /^[A-Z]+\.$/.test(value) ? '  ' : ' ';
+      } else {
+        value = number + '. ';
+      }
+    } else {
+      value = options.bulletListMarker;
+      if (Array.isArray(value)) {
+        value = value[(conversion.listDepth - 1) % value.length];
+      }
+
+      value += ' ';
+    }
 
     if (!conversion.atLeft) {
-      conversion.append(conversion.left.replace(/[ ]{2,4}$/, '\n'));
+      conversion.append(conversion.left);
 
       conversion.atLeft = true;
-      conversion.atNoWhiteSpace = true;
-      conversion.atParagraph = true;
-    } else if (conversion.last) {
-      conversion.last = conversion.last.replace(/[ ]{2,4}$/, '\n');
+    }
+    if (conversion.listLoose && element.previousElementSibling && !conversion.atParagraph) {
+      conversion.append(conversion.left);
+    }
+
+    checkbox = options.taskLists ? getCheckbox(element) : null;
+    prefix = Utilities.leftPad('', value.length);
+
+    if (checkbox) {
+      value += checkbox.checked ? '[x] ' : '[ ] ';
     }
 
-    conversion.append(Utilities.leftPad(value, (conversion.listDepth - 1) * 2));
+    conversion.openContainer('listItem', prefix, value);
 
     return true;
   },
@@ -64,6 +159,91 @@ var ListItemPlugin = Plugin.extend({
     return [ 'li' ];
   }
 
+}, {
+
+  /**
+   * Formats the specified <code>number</code> using the list <code>type</code> provided.
+   *
+   * <code>type</code> can be any value supported by the <code>type</code> attribute for ordered lists (i.e.
+   * <code>1</code>, <code>a</code>, <code>A</code>, <code>i</code>, or <code>I</code>). <code>number</code> will be
+   * formatted as a decimal if <code>type</code> is not supported or <code>number</code> cannot be expressed using it.
+   *
+   * @param {number} number - the number to be formatted
+   * @param {string} type - the list type to be used
+   * @return {string} The formatted <code>number</code>.
+   * @public
+   * @static
+   * @memberof ListItemPlugin
+   */
+  formatNumber: function(number, type) {
+    var result = '';
+
+    if (number <= 0) {
+      return String(number);
+    }
+
+    switch (type) {
+    case 'a':
+    case 'A':
+      for (; number > 0; number = Math.floor((number - 1) / 26)) {
+        result = String.fromCharCode(97 + ((number - 1) % 26)) + result;
+      }
+      break;
+    case 'i':
+    case 'I':
+      romanNumerals.forEach(function(numeral) {
+        for (; number >= numeral[0]; number -= numeral[0]) {
+          result += numeral[1];
+        }
+      });
+      break;
+    default:
+      return String(number);
+    }
+
+    return type === type.toUpperCase() ? result.toUpperCase() : result;
+  },
+
+  /**
+   * Returns whether the specified list <code>element</code> is followed by any content within its parent (i.e. any
+   * elements or text other than white space).
+   *
+   * @param {Element} element - the list element to be checked
+   * @return {boolean} <code>true</code> if <code>element</code> is followed by content; otherwise <code>false</code>.
+   * @public
+   * @static
+   * @memberof ListItemPlugin
+   */
+  hasContentAfter: function(element) {
+    for (var node = element.nextSibling; node; node = node.nextSibling) {
+      if (node.nodeType === 1 || (node.nodeType === 3 && node.nodeValue.trim())) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Returns whether the specified list <code>element</code> is loose and, therefore, its items are to be separated by
+   * blank lines.
+   *
+   * A list is considered to be loose if any of its items contain a paragraph element.
+   *
+   * @param {Element} element - the list element to be checked
+   * @return {boolean} <code>true</code> if <code>element</code> is loose; otherwise <code>false</code>.
+   * @public
+   * @static
+   * @memberof ListItemPlugin
+   */
+  isLoose: function(element) {
+    return Array.prototype.some.call(element.children, function(item) {
+      return Array.prototype.some.call(item.children, function(child) {
+        return child.tagName.toLowerCase() === 'p';
+      });
+    });
+  }
+
 });
 
 Europa.register(new ListItemPlugin());
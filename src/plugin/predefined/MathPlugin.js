@@ -0,0 +1,311 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var DOMUtilities = require('../../util/DOMUtilities');
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+var Utilities = require('../../util/Utilities');
+
+var delimiters = {
+  backticks: {
+    display: [ '```math\n', '\n```' ],
+    inline: [ '$`', '`$' ]
+  },
+  brackets: {
+    display: [ '\\[\n', '\n\\]' ],
+    inline: [ '\\(', '\\)' ]
+  },
+  dollars: {
+    display: [ '$$\n', '\n$$' ],
+    inline: [ '$', '$' ]
+  }
+};
+var functionNames = [ 'cos', 'cot', 'csc', 'exp', 'lim', 'ln', 'log', 'max', 'min', 'sec', 'sin', 'tan' ];
+var symbols = {
+  '\u00b1': '\\pm',
+  '\u00b7': '\\cdot',
+  '\u00d7': '\\times',
+  '\u00f7': '\\div',
+  '\u0393': '\\Gamma',
+  '\u0394': '\\Delta',
+  '\u0398': '\\Theta',
+  '\u039b': '\\Lambda',
+  '\u039e': '\\Xi',
+  '\u03a0': '\\Pi',
+  '\u03a3': '\\Sigma',
+  '\u03a6': '\\Phi',
+  '\u03a8': '\\Psi',
+  '\u03a9': '\\Omega',
+  '\u03b1': '\\alpha',
+  '\u03b2': '\\beta',
+  '\u03b3': '\\gamma',
+  '\u03b4': '\\delta',
+  '\u03b5': '\\epsilon',
+  '\u03b6': '\\zeta',
+  '\u03b7': '\\eta',
+  '\u03b8': '\\theta',
+  '\u03b9': '\\iota',
+  '\u03ba': '\\kappa',
+  '\u03bb': '\\lambda',
+  '\u03bc': '\\mu',
+  '\u03bd': '\\nu',
+  '\u03be': '\\xi',
+  '\u03c0': '\\pi',
+  '\u03c1': '\\rho',
+  '\u03c3': '\\sigma',
+  '\u03c4': '\\tau',
+  '\u03c5': '\\upsilon',
+  '\u03c6': '\\phi',
+  '\u03c7': '\\chi',
+  '\u03c8': '\\psi',
+  '\u03c9': '\\omega',
+  '\u2061': '',
+  '\u2062': '',
+  '\u2063': '',
+  '\u2192': '\\to',
+  '\u2202': '\\partial',
+  '\u2208': '\\in',
+  '\u220f': '\\prod',
+  '\u2211': '\\sum',
+  '\u2212': '-',
+  '\u221e': '\\infty',
+  '\u222b': '\\int',
+  '\u2248': '\\approx',
+  '\u2260': '\\neq',
+  '\u2264': '\\leq',
+  '\u2265': '\\geq',
+  '\u22c5': '\\cdot',
+  '{': '\\{',
+  '}': '\\}'
+};
+var texSelector = 'annotation[encoding="application/x-tex"]';
+
+function join(values) {
+  return values.reduce(function(result, value) {
+    if (/\\[a-zA-Z]+$/.test(result) && /^[a-zA-Z0-9]/.test(value)) {
+      result += ' ';
+    }
+
+    return result + value;
+  }, '');
+}
+
+function group(value) {
+  return value.length === 1 ? value : '{' + value + '}';
+}
+
+function translateText(text) {
+  return text.trim().split('').map(function(character) {
+    return Utilities.hasOwn(symbols, character) ? symbols[character] : character;
+  });
+}
+
+function translate(node) {
+  if (node.nodeType !== 1) {
+    return '';
+  }
+
+  var children = Array.prototype.map.call(node.children, translate);
+  var text = node.textContent.trim();
+
+  // Children missing from malformed MathML are treated as empty
+  while (children.length < 3) {
+    children.push('');
+  }
+
+  switch (node.tagName.toLowerCase()) {
+  case 'annotation':
+  case 'annotation-xml':
+    return '';
+  case 'mfrac':
+    return '\\frac{' + children[0] + '}{' + children[1] + '}';
+  case 'mi':
+    if (functionNames.indexOf(text) !== -1) {
+      return '\\' + text;
+    }
+
+    return text.length > 1 && !Utilities.hasOwn(symbols, text) ? '\\mathrm{' + text + '}' : join(translateText(text));
+  case 'mn':
+  case 'mo':
+    return join(translateText(text));
+  case 'mroot':
+    return '\\sqrt[' + children[1] + ']{' + children[0] + '}';
+  case 'msqrt':
+    return '\\sqrt{' + join(children) + '}';
+  case 'msub':
+    return group(children[0]) + '_' + group(children[1]);
+  case 'msubsup':
+    return group(children[0]) + '_' + group(children[1]) + '^' + group(children[2]);
+  case 'msup':
+    return group(children[0]) + '^' + group(children[1]);
+  case 'mtext':
+    return text ? '\\text{' + text + '}' : '';
+  case 'semantics':
+    return children[0] || '';
+  default:
+    return join(children);
+  }
+}
+
+function getTexFromMath(element) {
+  var annotation = DOMUtilities.matches(element, texSelector) ? element : element.querySelector(texSelector);
+
+  return annotation ? annotation.textContent : translate(element);
+}
+
+function getScript(element) {
+  var script = element.nextElementSibling;
+  var type = script ? (script.getAttribute('type') || '').toLowerCase() : '';
+
+  return /^math\/tex/.test(type) ? script : null;
+}
+
+function getMath(element, tagName) {
+  var math, script;
+
+  if (element.hasAttribute('data-tex')) {
+    return {
+      display: tagName === 'div' || /^(?:block|true)$/.test(element.getAttribute('data-display')),
+      tex: element.getAttribute('data-tex')
+    };
+  }
+
+  switch (tagName) {
+  case 'math':
+    return {
+      display: element.getAttribute('display') === 'block',
+      tex: getTexFromMath(element)
+    };
+  case 'mjx-container':
+    math = element.querySelector('math');
+
+    return math ? {
+      display: /^(?:block|true)$/.test(element.getAttribute('display')),
+      tex: getTexFromMath(math)
+    } : null;
+  case 'div':
+  case 'span':
+    if (DOMUtilities.matches(element, '.katex, .katex-display') && element.querySelector(texSelector)) {
+      return {
+        display: DOMUtilities.matches(element, '.katex-display'),
+        tex: element.querySelector(texSelector).textContent
+      };
+    }
+
+    script = /(?:^|\s)MathJax/.test(element.getAttribute('class') || '') ? getScript(element) : null;
+
+    // Previews are followed by the output rendered by MathJax, where available, which would duplicate the math
+    if (!script && /(?:^|\s)MathJax_Preview(?:\s|$)/.test(element.getAttribute('class') || '')) {
+      return {
+        display: false,
+        tex: ''
+      };
+    }
+
+    return script ? {
+      display: /mode=display/i.test(script.getAttribute('type')),
+      tex: script.textContent
+    } : null;
+  default:
+    return null;
+  }
+}
+
+/**
+ * A {@link Plugin} which outputs math as LaTeX.
+ *
+ * The LaTeX is taken from the <code>application/x-tex</code> annotations within MathML (e.g. KaTeX), the
+ * <code>math/tex</code> scripts that follow the output rendered by MathJax, or <code>data-tex</code> attributes. Where
+ * MathML contains no such annotation, its common elements are translated into LaTeX. Any previews shown by MathJax
+ * alongside the output it has rendered are ignored.
+ *
+ * The <code>mathDelimiters</code> option determines how inline and display math are delimited; either by dollars
+ * (<code>dollars</code>, e.g. <code>$x$</code>), brackets (<code>brackets</code>, e.g. <code>\(x\)</code>), or
+ * backticks (<code>backticks</code>, e.g. <code>$`x`$</code>).
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var MathPlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var math = getMath(conversion.element, conversion.tagName);
+    if (!math) {
+      return false;
+    }
+
+    var style = delimiters[conversion.options.mathDelimiters] || delimiters.dollars;
+    var tex = math.tex.trim();
+    if (!tex) {
+      return false;
+    }
+
+    if (math.display) {
+      conversion
+        .appendParagraph()
+        .output(style.display[0] + tex + style.display[1])
+        .appendParagraph();
+    } else {
+      conversion.output(style.inline[0] + tex.replace(/\s*\n\s*/g, ' ') + style.inline[1]);
+    }
+
+    return false;
+  },
+
+  /**
+   * @override
+   */
+  getPriority: function() {
+    return 1;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [
+      'div',
+      'img',
+      'math',
+      'mjx-container',
+      'span'
+    ];
+  },
+
+  /**
+   * @override
+   */
+  supports: function(conversion) {
+    return getMath(conversion.element, conversion.tagName) != null;
+  }
+
+});
+
+Europa.register(new MathPlugin());
+
+module.exports = MathPlugin;
@@ -0,0 +1,202 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var AnchorPlugin = require('./AnchorPlugin');
+var DOMUtilities = require('../../util/DOMUtilities');
+var Europa = require('../../Europa');
+var ImagePlugin = require('./ImagePlugin');
+var Plugin = require('../Plugin');
+
+var mediaTypes = {
+  audio: [ 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/wav' ],
+  video: [ 'video/mp4', 'video/webm', 'video/ogg' ]
+};
+var typesByExtension = {
+  aac: 'audio/aac',
+  m4a: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  oga: 'audio/ogg',
+  ogg: 'audio/ogg',
+  ogv: 'video/ogg',
+  wav: 'audio/wav',
+  webm: 'video/webm'
+};
+
+function getType(element, url) {
+  var type = (element.getAttribute('type') || '').split(';')[0].trim().toLowerCase();
+  var match = url.match(/\.([a-z0-9]+)(?:[?#]|$)/i);
+
+  return type || (match ? typesByExtension[match[1].toLowerCase()] || '' : '');
+}
+
+function getUrl(element, attribute, absolute) {
+  var url = element.getAttribute(attribute);
+
+  return url && absolute ? DOMUtilities.resolveUrl(url, element.ownerDocument) : url;
+}
+
+function getSource(element, tagName, absolute) {
+  var preferredTypes = mediaTypes[tagName];
+  var sources = Array.prototype.filter.call(element.children, function(child) {
+    return child.tagName.toLowerCase() === 'source' && child.getAttribute('src');
+  });
+  var ranked;
+
+  if (element.getAttribute('src') || !sources.length) {
+    return getUrl(element, 'src', absolute);
+  }
+
+  ranked = sources.map(function(source, index) {
+    var rank = preferredTypes.indexOf(getType(source, source.getAttribute('src')));
+
+    return {
+      rank: rank === -1 ? preferredTypes.length : rank,
+      index: index,
+      source: source
+    };
+  }).sort(function(a, b) {
+    return a.rank - b.rank || a.index - b.index;
+  });
+
+  return getUrl(ranked[0].source, 'src', absolute);
+}
+
+function getFallbackText(element) {
+  var clone = element.cloneNode(true);
+
+  Array.prototype.slice.call(clone.querySelectorAll('param, source, track')).forEach(function(child) {
+    child.parentNode.removeChild(child);
+  });
+
+  return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function getLabel(element, url) {
+  var track = element.querySelector('track[label]');
+  var fileName = url.replace(/[?#].*$/, '').replace(/\/+$/, '').split('/').pop();
+
+  return [
+    element.getAttribute('title'),
+    element.getAttribute('aria-label'),
+    track && track.getAttribute('label'),
+    getFallbackText(element),
+    fileName,
+    url
+  ].reduce(function(label, value) {
+    return label || (value || '').replace(/\s+/g, ' ').trim();
+  }, '');
+}
+
+/**
+ * A {@link Plugin} which outputs a link to the source of embedded media.
+ *
+ * For audio and video, the source with the most widely supported type is linked and, where a video has a
+ * <code>poster</code>, the link is output as a clickable thumbnail (e.g. <code>[![foo](/bar.png)](/bar.mp4)</code>).
+ * Other embedded content (e.g. PDFs) is output as a plain download link. The label is taken from the
+ * <code>title</code>, any text track, or the fallback contents, in that order, before falling back on the file name.
+ *
+ * The URLs are output in the same way as anchors and images, having been rewritten using the {@link UrlService}, where
+ * one has been configured, and then sanitized based on the <code>sanitize</code> option. Any media without a source
+ * (or whose source is not allowed) simply has its fallback contents converted.
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var MediaPlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var element = conversion.element;
+    var absolute = conversion.options.absolute;
+    var poster, source;
+
+    switch (conversion.tagName) {
+    case 'audio':
+    case 'video':
+      source = getSource(element, conversion.tagName, absolute);
+      poster = conversion.tagName === 'video' ? getUrl(element, 'poster', absolute) : null;
+      break;
+    case 'embed':
+      source = getUrl(element, 'src', absolute);
+      break;
+    case 'object':
+      source = getUrl(element, 'data', absolute);
+      break;
+    default:
+      break;
+    }
+
+    var url = source ? conversion.europa.sanitizeUrl(conversion.europa.rewriteUrl(source, {
+      element: element,
+      kind: 'media'
+    })) : null;
+    if (url == null) {
+      return conversion.tagName !== 'embed';
+    }
+
+    var label = conversion.clean(getLabel(element, source));
+    var text = label;
+
+    poster = poster ? conversion.europa.sanitizeUrl(conversion.europa.rewriteUrl(poster, {
+      element: element,
+      kind: 'image'
+    })) : null;
+
+    if (poster) {
+      text = '![' + label + ']' + ImagePlugin.createDestination(conversion, {
+        text: label,
+        url: poster
+      });
+    }
+
+    conversion.output('[' + text + ']' + AnchorPlugin.createDestination(conversion, {
+      text: text,
+      url: url
+    }));
+
+    return false;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [
+      'audio',
+      'canvas',
+      'embed',
+      'object',
+      'video'
+    ];
+  }
+
+});
+
+Europa.register(new MediaPlugin());
+
+module.exports = MediaPlugin;
@@ -23,11 +23,22 @@
 'use strict';
 
 var Europa = require('../../Europa');
+var HtmlPlugin = require('./HtmlPlugin');
+var ListItemPlugin = require('./ListItemPlugin');
 var Plugin = require('../Plugin');
 
+var htmlAttributeNames = [ 'reversed', 'start', 'type', 'value' ];
+
 /**
  * A {@link Plugin} which outputs an ordered list.
  *
+ * The numbering of the list is based on its <code>start</code>, <code>reversed</code>, and <code>type</code>
+ * attributes. If the list uses letters or roman numerals but the <code>fancyLists</code> option is disabled, then the
+ * <code>listTypeFallback</code> option determines whether the list is numbered using decimals (<code>decimal</code>)
+ * or output as raw HTML (<code>html</code>). Raw HTML only includes the attributes allowed by the
+ * <code>htmlAttributes</code> option, along with those needed to number the list, and is sanitized based on the
+ * <code>sanitize</code> option (see {@link HtmlPlugin.serialize}).
+ *
  * @public
  * @class
  * @extends Plugin
@@ -39,28 +50,70 @@ var OrderedListPlugin = Plugin.extend({
    */
   after: function(conversion, context) {
     conversion.inOrderedList = context.previousInOrderedList;
+    conversion.listDepth = context.previousListDepth;
     conversion.listIndex = context.previousListIndex;
-    conversion.listDepth--;
+    conversion.listLoose = context.previousListLoose;
+    conversion.listReversed = context.previousListReversed;
+    conversion.listType = context.previousListType;
+
+    // Any content following the list would otherwise be treated as a continuation of its last item
+    if (context.contentAfter) {
+      conversion.appendParagraph();
+    }
   },
 
   /**
    * @override
    */
   before: function(conversion, context) {
+    context.contentAfter = ListItemPlugin.hasContentAfter(conversion.element);
     context.previousInOrderedList = conversion.inOrderedList;
+    context.previousListDepth = conversion.listDepth;
     context.previousListIndex = conversion.listIndex;
+    context.previousListLoose = conversion.listLoose;
+    context.previousListReversed = conversion.listReversed;
+    context.previousListType = conversion.listType;
   },
 
   /**
    * @override
    */
   convert: function(conversion, context) {
+    var element = conversion.element;
+    var options = conversion.options;
+    var type = element.getAttribute('type') || '1';
+    if (!/^[1aAiI]$/.test(type)) {
+      type = '1';
+    }
+
+    if (type !== '1' && !options.fancyLists && options.listTypeFallback === 'html') {
+      var html = HtmlPlugin.serialize(element, options.htmlAttributes.concat(htmlAttributeNames), conversion);
+
+      conversion
+        .appendParagraph()
+        .output(html.replace(/\n([ \t]*\n)+/g, '\n'))
+        .appendParagraph();
+
+      return false;
+    }
+
     if (conversion.listDepth === 0) {
       conversion.appendParagraph();
     }
 
+    var reversed = element.hasAttribute('reversed');
+    var start = parseInt(element.getAttribute('start'), 10);
+    if (isNaN(start)) {
+      start = reversed ? Array.prototype.filter.call(element.children, function(child) {
+        return child.tagName.toLowerCase() === 'li';
+      }).length : 1;
+    }
+
     conversion.inOrderedList = true;
-    conversion.listIndex = 1;
+    conversion.listIndex = start;
+    conversion.listLoose = ListItemPlugin.isLoose(element);
+    conversion.listReversed = reversed;
+    conversion.listType = type;
     conversion.listDepth++;
 
     return true;
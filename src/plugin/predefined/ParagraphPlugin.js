@@ -34,6 +34,13 @@ var Plugin = require('../Plugin');
  */
 var ParagraphPlugin = Plugin.extend({
 
+  /**
+   * @override
+   */
+  after: function(conversion, context) {
+    conversion.appendParagraph();
+  },
+
   /**
    * @override
    */
@@ -22,12 +22,123 @@
 
 'use strict';
 
+var DOMUtilities = require('../../util/DOMUtilities');
 var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
+var Utilities = require('../../util/Utilities');
+
+var codeSelector = 'td.code pre, td.rouge-code pre';
+var gutterSelector = [
+  '.gutter',
+  '.hljs-ln-numbers',
+  '.line-numbers-rows',
+  '.lineno',
+  '.linenodiv',
+  '.linenos'
+].join(', ');
+var highlightTableSelector = 'table.highlighttable, table.rouge-table';
+var languageAttributes = [ 'data-lang', 'data-language' ];
+var languageRegExp = /(?:^|\s)(?:language|lang|highlight(?:-source)?)-([^\s]+)/;
+
+function getLanguageFromElement(element) {
+  for (var i = 0; i < languageAttributes.length; i++) {
+    if (element.getAttribute(languageAttributes[i])) {
+      return element.getAttribute(languageAttributes[i]);
+    }
+  }
+
+  var match = (element.getAttribute('class') || '').match(languageRegExp);
+
+  return match ? match[1] : null;
+}
+
+function getLanguage(element) {
+  var code = element.querySelector('code');
+  var elements = [ element ];
+  var parent = element.parentNode;
+  if (code) {
+    elements.push(code);
+  }
+
+  for (var i = 0; i < 2 && parent && parent.getAttribute; i++) {
+    elements.push(parent);
+
+    parent = parent.parentNode;
+  }
+
+  for (var j = 0; j < elements.length; j++) {
+    var language = getLanguageFromElement(elements[j]);
+    if (language) {
+      return language.replace(/[`~\s]/g, '');
+    }
+  }
+
+  return '';
+}
+
+function getTextFromNode(node) {
+  switch (node.nodeType) {
+  case 1:
+    break;
+  case 3:
+    return node.nodeValue;
+  default:
+    return '';
+  }
+
+  var tagName = node.tagName.toLowerCase();
+  if (tagName === 'br') {
+    return '\n';
+  }
+
+  var text = '';
+  for (var i = 0; i < node.childNodes.length; i++) {
+    text += getTextFromNode(node.childNodes[i]);
+  }
+
+  return tagName === 'tr' ? text.replace(/\n?$/, '\n') : text;
+}
+
+function getText(element) {
+  var clone = element.cloneNode(true);
+  var gutters = clone.querySelectorAll(gutterSelector);
+
+  for (var i = 0; i < gutters.length; i++) {
+    gutters[i].parentNode.removeChild(gutters[i]);
+  }
+
+  return getTextFromNode(clone)
+    .replace(/\r\n/g, '\n')
+    .replace(/\n$/, '');
+}
+
+function createFence(text, fence) {
+  var character = fence && fence.charAt(0) === '~' ? '~' : '`';
+  var length = 3;
+  var matches = text.match(character === '`' ? /`{3,}/g : /~{3,}/g) || [];
+
+  matches.forEach(function(match) {
+    length = Math.max(length, match.length + 1);
+  });
+
+  return Utilities.leftPad('', length, character);
+}
 
 /**
  * A {@link Plugin} which outputs the contents in a preformatted block.
  *
+ * The contents are always output as plain text, with any markup used by syntax highlighters (e.g. Prism,
+ * highlight.js, Pygments) removed, including line number gutters. Tables generated by syntax highlighters to separate
+ * line numbers from the code (e.g. Pygments' <code>highlighttable</code>) are output as if they were only the
+ * preformatted element within their code cell.
+ *
+ * If the <code>codeBlockStyle</code> option is <code>fenced</code>, then the contents will be output within a fenced
+ * code block using the <code>fence</code> option (either <code>```</code> or <code>~~~</code>), which will be made
+ * longer if the contents contain a run of the same characters. The language of the code, if any, is taken from the
+ * <code>language-*</code>, <code>lang-*</code>, or <code>highlight-*</code> class, or the <code>data-lang</code>
+ * attribute, of the preformatted element, its nested <code>code</code> element, or its closest containers. Otherwise,
+ * the contents will be output as an indented code block.
+ *
  * @public
  * @class
  * @extends Plugin
@@ -38,12 +149,11 @@ var PreformattedPlugin = Plugin.extend({
    * @override
    */
   after: function(conversion, context) {
-    conversion.atLeft = false;
-    conversion.atParagraph = false;
     conversion.inPreformattedBlock = context.previousInPreformattedBlock;
-    conversion.left = context.previousLeft;
 
-    conversion.appendParagraph();
+    conversion
+      .closeContainer()
+      .appendParagraph();
   },
 
   /**
@@ -51,31 +161,60 @@ var PreformattedPlugin = Plugin.extend({
    */
   before: function(conversion, context) {
     context.previousInPreformattedBlock = conversion.inPreformattedBlock;
-    context.previousLeft = conversion.left;
   },
 
   /**
    * @override
    */
   convert: function(conversion, context) {
-    var value = '    ';
+    var table = conversion.tagName === 'table' ? conversion.element : null;
+    var element = table ? table.querySelector(codeSelector) : conversion.element;
+    var options = conversion.options;
+    var text = getText(element);
+    var fence;
+
+    conversion.appendParagraph();
 
-    conversion.left += value;
+    if (options.codeBlockStyle === 'fenced') {
+      fence = createFence(text, options.fence);
+      text = fence + (getLanguage(element) || (table ? getLanguage(table) : '')) + '\n' + (text ? text + '\n' : '') +
+        fence;
 
-    if (conversion.atParagraph) {
-      conversion.append(value);
+      conversion.openContainer('code', '');
     } else {
-      conversion.appendParagraph();
+      conversion.openContainer('code', '    ');
     }
 
-    return true;
+    conversion.inPreformattedBlock = true;
+    conversion.output(text);
+
+    return false;
+  },
+
+  /**
+   * @override
+   */
+  getPriority: function() {
+    return 1;
   },
 
   /**
    * @override
    */
   getTagNames: function() {
-    return [ 'pre' ];
+    return [ 'pre', 'table' ];
+  },
+
+  /**
+   * @override
+   */
+  supports: function(conversion) {
+    var element = conversion.element;
+    if (conversion.tagName !== 'table') {
+      return true;
+    }
+
+    return DOMUtilities.matches(element, highlightTableSelector) && element.querySelector(codeSelector) != null;
   }
 
 });
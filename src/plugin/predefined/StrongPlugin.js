@@ -26,7 +26,7 @@ var Europa = require('../../Europa');
 var Plugin = require('../Plugin');
 
 /**
- * A {@link Plugin} which outputs as strong text.
+ * A {@link Plugin} which outputs as strong text using the <code>strongDelimiter</code> option.
  *
  * @public
  * @class
@@ -38,14 +38,14 @@ var StrongPlugin = Plugin.extend({
    * @override
    */
   after: function(conversion, context) {
-    conversion.output('**');
+    conversion.output(conversion.options.strongDelimiter);
   },
 
   /**
    * @override
    */
   convert: function(conversion, context) {
-    conversion.output('**');
+    conversion.output(conversion.options.strongDelimiter);
 
     conversion.atNoWhiteSpace = true;
 
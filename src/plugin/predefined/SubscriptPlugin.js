@@ -0,0 +1,66 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+
+/**
+ * A {@link Plugin} which outputs as subscript text.
+ *
+ * If the <code>subscript</code> option is enabled, then the text will be wrapped in single tildes (e.g.
+ * <code>H~2~O</code>) with any spaces escaped. Otherwise, it will be wrapped in a <code>sub</code> HTML element.
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var SubscriptPlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var value = conversion.europa.convertContents(conversion.element, conversion);
+
+    if (!conversion.options.subscript) {
+      conversion.output('<sub>' + value + '</sub>');
+    } else if (value) {
+      conversion.output('~' + value.replace(/\s+/g, '\\ ') + '~');
+    }
+
+    return false;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [ 'sub' ];
+  }
+
+});
+
+Europa.register(new SubscriptPlugin());
+
+module.exports = SubscriptPlugin;
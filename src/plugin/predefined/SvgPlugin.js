@@ -0,0 +1,142 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var DOMUtilities = require('../../util/DOMUtilities');
+var Europa = require('../../Europa');
+var ImagePlugin = require('./ImagePlugin');
+var Plugin = require('../Plugin');
+
+var iconMaxSize = 32;
+
+function getLabel(element) {
+  for (var i = 0; i < element.children.length; i++) {
+    if (element.children[i].tagName.toLowerCase() === 'title') {
+      return element.children[i].textContent.replace(/\s+/g, ' ').trim();
+    }
+  }
+
+  return (element.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+}
+
+function isIcon(element) {
+  if (!DOMUtilities.closest(element.parentNode, 'a, button')) {
+    return false;
+  }
+  if (element.getAttribute('aria-hidden') === 'true') {
+    return true;
+  }
+
+  return [ 'width', 'height' ].every(function(name) {
+    var size = parseFloat(element.getAttribute(name));
+
+    return size > 0 && size <= iconMaxSize;
+  });
+}
+
+function serialize(element, window) {
+  return window.XMLSerializer ? new window.XMLSerializer().serializeToString(element) : element.outerHTML;
+}
+
+/**
+ * A {@link Plugin} which outputs inline SVGs based on the <code>svgStyle</code> option.
+ *
+ * The SVG can either be serialized into a <code>data:</code> URI for an image (<code>data</code>), saved using the
+ * {@link AssetService} so that its path can be used for an image (<code>asset</code>), or only have its
+ * <code>title</code> (or <code>aria-label</code>) output as text (<code>text</code>). Images use the same label as
+ * their alternative text. A <code>data:</code> URI is used instead of an asset where no {@link AssetService} has been
+ * configured. Like any other image, the resulting URL is rewritten using the {@link UrlService}, where one has been
+ * configured, and then sanitized based on the <code>sanitize</code> option, with only the label being output where it
+ * is not allowed.
+ *
+ * Icons within anchors and buttons, which are either hidden from accessibility tools or small, are ignored.
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var SvgPlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var element = conversion.element;
+    if (isIcon(element)) {
+      return false;
+    }
+
+    var label = getLabel(element);
+    var source;
+
+    switch (conversion.options.svgStyle) {
+    case 'asset':
+      if (Europa.hasService('asset')) {
+        source = Europa.getService('asset').saveAsset(serialize(element, conversion.window), 'image/svg+xml', element);
+        break;
+      }
+
+      // Falls through to use a data URI where no AssetService has been configured
+    case 'data':
+      source = 'data:image/svg+xml,' + encodeURIComponent(serialize(element, conversion.window))
+        .replace(/\(/g, '%28')
+        .replace(/\)/g, '%29');
+      break;
+    default:
+      conversion.output(label, true);
+
+      return false;
+    }
+
+    source = conversion.europa.sanitizeUrl(conversion.europa.rewriteUrl(source, {
+      element: element,
+      kind: 'image'
+    }));
+    if (source == null) {
+      conversion.output(label, true);
+
+      return false;
+    }
+
+    label = conversion.clean(label);
+
+    conversion.output('![' + label + ']' + ImagePlugin.createDestination(conversion, {
+      text: label,
+      url: source
+    }));
+
+    return false;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [ 'svg' ];
+  }
+
+});
+
+Europa.register(new SvgPlugin());
+
+module.exports = SvgPlugin;
@@ -0,0 +1,327 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Europa = require('../../Europa');
+var HtmlPlugin = require('./HtmlPlugin');
+var Plugin = require('../Plugin');
+var Utilities = require('../../util/Utilities');
+
+var htmlAttributeNames = [ 'align', 'colspan', 'rowspan' ];
+
+function repeat(string, times) {
+  return Utilities.leftPad('', times, string);
+}
+
+function createDelimiter(width, alignment) {
+  switch (alignment) {
+  case 'center':
+    return ':' + repeat('-', width - 2) + ':';
+  case 'left':
+    return ':' + repeat('-', width - 1);
+  case 'right':
+    return repeat('-', width - 1) + ':';
+  default:
+    return repeat('-', width);
+  }
+}
+
+function flattenCell(value) {
+  return value.replace(/((?:^|[^\\])(?:\\\\)*)\\\n/g, '$1\n')
+    .replace(/[ \t]*\n[ \t]*(\n[ \t]*)+/g, '<br><br>')
+    .replace(/[ \t]*\n[ \t]*/g, '<br>');
+}
+
+function forEachCell(row, iteratee) {
+  var column = 0;
+
+  Array.prototype.forEach.call(row.cells, function(cell) {
+    iteratee(cell, column);
+
+    column += Math.max(cell.colSpan, 1);
+  });
+}
+
+function getAlignment(cell) {
+  var alignment = (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase();
+
+  return /^(center|left|right)$/.test(alignment) ? alignment : null;
+}
+
+function getRows(element) {
+  return Array.prototype.slice.call(element.rows);
+}
+
+function indentLines(value, times) {
+  return value.replace(/\n/g, '\n' + repeat(' ', times));
+}
+
+function isBlock(value) {
+  return /\n|^(?:[*+-]|\d+[.)]|#+|>|```|~~~)(?:\s|$)/.test(value);
+}
+
+function isHeaderRow(row) {
+  if (row.parentNode.tagName.toLowerCase() === 'thead') {
+    return true;
+  }
+
+  return row.cells.length > 0 && Array.prototype.every.call(row.cells, function(cell) {
+    return cell.tagName.toLowerCase() === 'th';
+  });
+}
+
+function padCell(value, width, alignment) {
+  var padding = width - value.length;
+
+  switch (alignment) {
+  case 'center':
+    return repeat(' ', Math.floor(padding / 2)) + value + repeat(' ', Math.ceil(padding / 2));
+  case 'right':
+    return repeat(' ', padding) + value;
+  default:
+    return value + repeat(' ', padding);
+  }
+}
+
+/**
+ * A {@link Plugin} which outputs a table as a GitHub-Flavored Markdown pipe table.
+ *
+ * The alignment of each column is taken from the <code>align</code> attribute or <code>text-align</code> style of the
+ * first cell within that column that declares one. Any block content within a cell is flattened onto a single line,
+ * using <code>&lt;br&gt;</code> to separate lines, and any pipes are escaped. Columns are padded so that the cells of
+ * each column line up.
+ *
+ * Tables which cannot be expressed as pipe tables (i.e. those containing cells that span multiple rows/columns or
+ * nested tables), or all tables if the <code>tables</code> option is disabled, are output according to the
+ * <code>tableFallback</code> option; either as raw HTML (<code>html</code>) or as a list (<code>list</code>) with an
+ * item for each row. Raw HTML only includes the attributes allowed by the <code>htmlAttributes</code> option, along
+ * with those needed to align cells and span rows/columns, and is sanitized based on the <code>sanitize</code> option
+ * (see {@link HtmlPlugin.serialize}).
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var TablePlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var element = conversion.element;
+    var options = conversion.options;
+    var rows = getRows(element);
+    if (!rows.length) {
+      return false;
+    }
+
+    var fallback = !options.tables || !TablePlugin.isSimple(element) ? options.tableFallback : null;
+    if (fallback === 'html') {
+      var html = HtmlPlugin.serialize(element, options.htmlAttributes.concat(htmlAttributeNames), conversion);
+
+      conversion
+        .appendParagraph()
+        .output(html.replace(/\n([ \t]*\n)+/g, '\n'))
+        .appendParagraph();
+
+      return false;
+    }
+
+    var caption = element.caption ? conversion.europa.convertContents(element.caption, conversion) : '';
+    if (caption) {
+      conversion
+        .appendParagraph()
+        .output(caption);
+    }
+
+    conversion
+      .appendParagraph()
+      .output(fallback === 'list' ? this._convertToList(rows, conversion) : this._convertToPipes(rows, conversion))
+      .appendParagraph();
+
+    return false;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [ 'table' ];
+  },
+
+  /**
+   * Converts the specified table <code>rows</code> into a list containing an item for each row using the
+   * <code>conversion</code> provided.
+   *
+   * The first cell of each row is used as the value of its item and any other cells are output as nested items, using
+   * the <code>bulletListMarker</code> option. Each value is prefixed with the label of the header for its column, where
+   * possible, in strong text. Values containing block content (e.g. lists) are output on their own lines below the
+   * label.
+   *
+   * @param {HTMLTableRowElement[]} rows - the table rows to be converted
+   * @param {Conversion} conversion - the current {@link Conversion}
+   * @return {string} The Markdown list.
+   * @private
+   * @memberof TablePlugin#
+   */
+  _convertToList: function(rows, conversion) {
+    var europa = conversion.europa;
+    var labels = [];
+    var lines = [];
+    var markers = conversion.options.bulletListMarker;
+    var strong = conversion.options.strongDelimiter;
+
+    markers = Array.isArray(markers) ? [ markers[0], markers[1 % markers.length] ] : [ markers, markers ];
+
+    if (isHeaderRow(rows[0])) {
+      forEachCell(rows.shift(), function(cell, column) {
+        labels[column] = flattenCell(europa.convertContents(cell, conversion));
+      });
+    }
+
+    rows.forEach(function(row) {
+      var items = [];
+
+      forEachCell(row, function(cell, column) {
+        var value = europa.convertContents(cell, conversion);
+        if (value) {
+          items.push({ label: labels[column], value: value });
+        }
+      });
+
+      items.forEach(function(item, index) {
+        var label = item.label ? strong + item.label + ':' + strong : '';
+        var marker = index === 0 ? markers[0] + ' ' : repeat(' ', markers[0].length + 1) + markers[1] + ' ';
+        var indent = repeat(' ', marker.length);
+
+        // Block content cannot follow the label on the same line so is output on its own lines instead
+        if (!isBlock(item.value)) {
+          lines.push(marker + indentLines(label ? label + ' ' + item.value : item.value, marker.length));
+        } else if (label) {
+          lines.push(marker + label, '', indent + indentLines(item.value, marker.length));
+        } else {
+          lines.push(marker.replace(/ $/, ''), indent + indentLines(item.value, marker.length));
+        }
+      });
+    });
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Converts the specified table <code>rows</code> into a pipe table using the <code>conversion</code> provided.
+   *
+   * If the first row is not a header row, an empty header row will be inserted as pipe tables require one.
+   *
+   * @param {HTMLTableRowElement[]} rows - the table rows to be converted
+   * @param {Conversion} conversion - the current {@link Conversion}
+   * @return {string} The Markdown pipe table.
+   * @private
+   * @memberof TablePlugin#
+   */
+  _convertToPipes: function(rows, conversion) {
+    var alignments = [];
+    var europa = conversion.europa;
+    var widths = [];
+    var columns = 0;
+    var lines = [];
+
+    var values = rows.map(function(row) {
+      var cells = [];
+
+      forEachCell(row, function(cell, column) {
+        var value = flattenCell(europa.convertContents(cell, conversion)).replace(/\|/g, '\\|');
+
+        if (!alignments[column]) {
+          alignments[column] = getAlignment(cell);
+        }
+
+        cells.push(value);
+      });
+
+      columns = Math.max(columns, cells.length);
+
+      return cells;
+    });
+
+    if (!isHeaderRow(rows[0])) {
+      values.unshift([]);
+    }
+
+    values.forEach(function(cells) {
+      for (var i = 0; i < columns; i++) {
+        if (cells[i] == null) {
+          cells[i] = '';
+        }
+
+        widths[i] = Math.max(widths[i] || 3, cells[i].length);
+      }
+    });
+
+    values.forEach(function(cells, index) {
+      lines.push('| ' + cells.map(function(value, column) {
+        return padCell(value, widths[column], alignments[column]);
+      }).join(' | ') + ' |');
+
+      if (index === 0) {
+        lines.push('| ' + widths.map(function(width, column) {
+          return createDelimiter(width, alignments[column]);
+        }).join(' | ') + ' |');
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+}, {
+
+  /**
+   * Returns whether the specified table <code>element</code> can be expressed as a pipe table.
+   *
+   * A table cannot be expressed as a pipe table if any of its cells span multiple rows or columns or if it contains
+   * any nested tables.
+   *
+   * @param {HTMLTableElement} element - the table element to be checked
+   * @return {boolean} <code>true</code> if <code>element</code> can be output as a pipe table; otherwise
+   * <code>false</code>.
+   * @public
+   * @static
+   * @memberof TablePlugin
+   */
+  isSimple: function(element) {
+    if (element.querySelector('table')) {
+      return false;
+    }
+
+    return getRows(element).every(function(row) {
+      return Array.prototype.every.call(row.cells, function(cell) {
+        return cell.rowSpan <= 1 && cell.colSpan <= 1;
+      });
+    });
+  }
+
+});
+
+Europa.register(new TablePlugin());
+
+module.exports = TablePlugin;
@@ -0,0 +1,84 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Europa = require('../../Europa');
+var Plugin = require('../Plugin');
+
+function getDelimiters(conversion) {
+  switch (conversion.options.underlineStyle) {
+  case 'html':
+    return [ '<u>', '</u>' ];
+  case 'none':
+    return [ '', '' ];
+  default:
+    return [ conversion.options.emphasisDelimiter, conversion.options.emphasisDelimiter ];
+  }
+}
+
+/**
+ * A {@link Plugin} which outputs underlined text based on the <code>underlineStyle</code> option.
+ *
+ * Markdown has no syntax for underlined text, so it can either be output as emphasised text (<code>emphasis</code>),
+ * wrapped in a <code>u</code> HTML element (<code>html</code>), or output as plain text (<code>none</code>).
+ *
+ * @public
+ * @class
+ * @extends Plugin
+ */
+var UnderlinePlugin = Plugin.extend({
+
+  /**
+   * @override
+   */
+  after: function(conversion, context) {
+    conversion.output(getDelimiters(conversion)[1]);
+  },
+
+  /**
+   * @override
+   */
+  convert: function(conversion, context) {
+    var start = getDelimiters(conversion)[0];
+
+    if (start) {
+      conversion.output(start);
+
+      conversion.atNoWhiteSpace = true;
+    }
+
+    return true;
+  },
+
+  /**
+   * @override
+   */
+  getTagNames: function() {
+    return [ 'u' ];
+  }
+
+});
+
+Europa.register(new UnderlinePlugin());
+
+module.exports = UnderlinePlugin;
@@ -23,6 +23,7 @@
 'use strict';
 
 var Europa = require('../../Europa');
+var ListItemPlugin = require('./ListItemPlugin');
 var Plugin = require('../Plugin');
 
 /**
@@ -39,16 +40,25 @@ var UnorderedListPlugin = Plugin.extend({
    */
   after: function(conversion, context) {
     conversion.inOrderedList = context.previousInOrderedList;
+    conversion.listDepth = context.previousListDepth;
     conversion.listIndex = context.previousListIndex;
-    conversion.listDepth--;
+    conversion.listLoose = context.previousListLoose;
+
+    // Any content following the list would otherwise be treated as a continuation of its last item
+    if (context.contentAfter) {
+      conversion.appendParagraph();
+    }
   },
 
   /**
    * @override
    */
   before: function(conversion, context) {
+    context.contentAfter = ListItemPlugin.hasContentAfter(conversion.element);
     context.previousInOrderedList = conversion.inOrderedList;
+    context.previousListDepth = conversion.listDepth;
     context.previousListIndex = conversion.listIndex;
+    context.previousListLoose = conversion.listLoose;
   },
 
   /**
@@ -61,6 +71,7 @@ var UnorderedListPlugin = Plugin.extend({
 
     conversion.inOrderedList = false;
     conversion.listIndex = 1;
+    conversion.listLoose = ListItemPlugin.isLoose(conversion.element);
     conversion.listDepth++;
 
     return true;
@@ -22,22 +22,40 @@
 
 'use strict';
 
+require('../predefined/AbbreviationPlugin');
+require('../predefined/AdmonitionPlugin');
 require('../predefined/AnchorPlugin');
 require('../predefined/BlockQuotePlugin');
 require('../predefined/BreakPlugin');
 require('../predefined/CodePlugin');
+require('../predefined/DefinitionDescriptionPlugin');
+require('../predefined/DefinitionListPlugin');
 require('../predefined/DefinitionTermPlugin');
 require('../predefined/DetailsPlugin');
+require('../predefined/EmojiPlugin');
 require('../predefined/EmphasisPlugin');
 require('../predefined/EmptyPlugin');
+require('../predefined/FigurePlugin');
+require('../predefined/FootnotePlugin');
 require('../predefined/FramePlugin');
 require('../predefined/HeadingPlugin');
+require('../predefined/HighlightPlugin');
 require('../predefined/HorizontalRulePlugin');
+require('../predefined/HtmlPlugin');
 require('../predefined/ImagePlugin');
 require('../predefined/ListItemPlugin');
+require('../predefined/MathPlugin');
+require('../predefined/MediaPlugin');
 require('../predefined/OrderedListPlugin');
 require('../predefined/ParagraphPlugin');
 require('../predefined/PreformattedPlugin');
 require('../predefined/QuotePlugin');
+require('../predefined/SmallPlugin');
+require('../predefined/StrikethroughPlugin');
 require('../predefined/StrongPlugin');
+require('../predefined/SubscriptPlugin');
+require('../predefined/SuperscriptPlugin');
+require('../predefined/SvgPlugin');
+require('../predefined/TablePlugin');
+require('../predefined/UnderlinePlugin');
 require('../predefined/UnorderedListPlugin');
@@ -0,0 +1,294 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Nevis = require('nevis/lite');
+
+var bracketedTagNames = [
+  'a',
+  'audio',
+  'embed',
+  'frame',
+  'iframe',
+  'object',
+  'video'
+];
+var prefixes = {
+  image: 'image',
+  link: 'anchor'
+};
+
+function createValue(reference) {
+  // Angle brackets and white space other than spaces (e.g. line breaks) can never be used within a destination, and
+  // backslashes would otherwise escape any punctuation that follows them
+  var url = reference.url.replace(/[<>\s]/g, function(character) {
+    return character === ' ' ? character : encodeURIComponent(character);
+  }).replace(/\\/g, '\\\\');
+  if (!url || /[ ()]/.test(url)) {
+    url = '<' + url + '>';
+  }
+
+  if (!reference.title) {
+    return url;
+  }
+
+  return url + ' "' + reference.title.replace(/\s*\n\s*/g, ' ').replace(/["\\]/g, '\\$&') + '"';
+}
+
+function hash(value) {
+  var result = 0;
+
+  for (var i = 0; i < value.length; i++) {
+    result = ((result * 31) + value.charCodeAt(i)) % 4294967296;
+  }
+
+  return result.toString(36);
+}
+
+function isFollowedByBracket(element) {
+  var node = element;
+
+  while (node && !node.nextSibling) {
+    node = node.parentNode;
+  }
+
+  node = node ? node.nextSibling : null;
+
+  while (node) {
+    if (node.nodeType === 3) {
+      return /^[([]/.test(node.nodeValue);
+    }
+    if (node.nodeType !== 1) {
+      return false;
+    }
+    if (bracketedTagNames.indexOf(node.tagName.toLowerCase()) !== -1) {
+      return true;
+    }
+
+    node = node.firstChild;
+  }
+
+  return false;
+}
+
+function normalize(label) {
+  return label.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function slugify(text) {
+  return text.toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Manages the references for links and images within a single conversion process so that their labels are unique and
+ * their definitions can be output at the appropriate place.
+ *
+ * The <code>referenceLabels</code> option determines how labels are generated; either prefixed by the kind of
+ * reference (<code>prefixed</code>, e.g. <code>[anchor0]</code>), numbered (<code>numeric</code>), slugged from the
+ * text (<code>slug</code>), hashed from the URL (<code>hash</code>), or the text itself in either the collapsed
+ * (<code>collapsed</code>, e.g. <code>[foo][]</code>) or shortcut (<code>shortcut</code>, e.g. <code>[foo]</code>)
+ * form.
+ * Numbers are used where no label could otherwise be generated.
+ *
+ * Destinations are always output so that they cannot break out of their syntax; any angle brackets and white space
+ * within URLs are encoded, any backslashes within URLs are escaped, and URLs containing spaces or parentheses are
+ * wrapped in angle brackets (e.g. <code>&lt;/foo (bar)&gt;</code>), while any quotes and backslashes within titles are
+ * escaped.
+ *
+ * @param {Europa~Options} options - the options to be used
+ * @public
+ * @class
+ * @extends Nevis
+ */
+var ReferenceManager = Nevis.extend(function(options) {
+  this._counters = {
+    image: 0,
+    link: 0,
+    numeric: 0
+  };
+  this._keys = {};
+  this._labels = {};
+  this._options = options;
+  this._pending = [];
+}, {
+
+  /**
+   * Adds the specified <code>reference</code> of the <code>kind</code> provided and returns the destination to be
+   * output immediately after the text of the link or image.
+   *
+   * If the <code>inlineLinks</code> or <code>inlineImages</code> option (depending on <code>kind</code>) is enabled,
+   * then the destination will be inline (e.g. <code>(/bar)</code>). Otherwise, the destination will reference a
+   * definition which is to be output later.
+   *
+   * Shortcut references (e.g. <code>[foo]</code>) are output in the collapsed form instead where the specified
+   * <code>element</code> is immediately followed by anything that may start with a parenthesis or bracket, as it would
+   * otherwise be mistaken for an inline link or full reference.
+   *
+   * @param {string} kind - the kind of reference (i.e. <code>"image"</code> or <code>"link"</code>)
+   * @param {ReferenceManager~Reference} reference - the reference to be added
+   * @param {Element} [element] - the element from which <code>reference</code> was extracted
+   * @return {string} The destination for the reference.
+   * @public
+   * @memberof ReferenceManager#
+   */
+  add: function(kind, reference, element) {
+    var options = this._options;
+    var strategy = options.referenceLabels;
+    var text = (reference.text || '').replace(/\s+/g, ' ').trim();
+    var value = createValue(reference);
+    var key, label;
+
+    if (kind === 'image' ? options.inlineImages : options.inlineLinks) {
+      return '(' + value + ')' + (reference.attributes || '');
+    }
+
+    if (reference.attributes) {
+      value += ' ' + reference.attributes;
+    }
+
+    if ((strategy === 'collapsed' || strategy === 'shortcut') && text && !/[[\]]/.test(text) &&
+      this._isAvailable(text, value)) {
+      this._reserve(kind, text, value);
+
+      return strategy === 'collapsed' || isFollowedByBracket(element) ? '[]' : '';
+    }
+
+    key = kind + ' ' + value;
+    label = this._keys[key];
+
+    if (label == null) {
+      switch (strategy) {
+      case 'collapsed':
+      case 'numeric':
+      case 'shortcut':
+        label = this._reserve(kind, String(++this._counters.numeric), value);
+        break;
+      case 'hash':
+        label = this._reserve(kind, hash(value), value);
+        break;
+      case 'slug':
+        label = this._reserve(kind, slugify(text) || String(++this._counters.numeric), value);
+        break;
+      default:
+        label = this._reserve(kind, prefixes[kind] + this._counters[kind]++, value);
+        break;
+      }
+
+      this._keys[key] = label;
+    }
+
+    return '[' + label + ']';
+  },
+
+  /**
+   * Removes all of the definitions that have yet to be output and returns them.
+   *
+   * Definitions for links are always returned before those for images.
+   *
+   * @return {string[]} The pending definitions (e.g. <code>[anchor0]: /bar</code>).
+   * @public
+   * @memberof ReferenceManager#
+   */
+  flush: function() {
+    var pending = this._pending;
+
+    this._pending = [];
+
+    return pending
+      .filter(function(definition) {
+        return definition.kind === 'link';
+      })
+      .concat(pending.filter(function(definition) {
+        return definition.kind !== 'link';
+      }))
+      .map(function(definition) {
+        return '[' + definition.label + ']: ' + definition.value;
+      });
+  },
+
+  /**
+   * Returns whether the specified <code>label</code> is available to be used for the <code>value</code> provided.
+   *
+   * @param {string} label - the label to be checked
+   * @param {string} value - the URL and optional title to be referenced by <code>label</code>
+   * @return {boolean} <code>true</code> if <code>label</code> has not been reserved or has been reserved for
+   * <code>value</code>; otherwise <code>false</code>.
+   * @private
+   * @memberof ReferenceManager#
+   */
+  _isAvailable: function(label, value) {
+    var reserved = this._labels[normalize(label)];
+
+    return reserved == null || reserved === value;
+  },
+
+  /**
+   * Reserves the specified <code>label</code> for the <code>value</code> provided and returns the label that was
+   * reserved.
+   *
+   * If <code>label</code> has already been reserved for another value, then a suffix is added to make it unique. A
+   * definition is queued whenever a label is first reserved.
+   *
+   * @param {string} kind - the kind of reference (i.e. <code>"image"</code> or <code>"link"</code>)
+   * @param {string} label - the label to be reserved
+   * @param {string} value - the URL and optional title to be referenced by <code>label</code>
+   * @return {string} The reserved label.
+   * @private
+   * @memberof ReferenceManager#
+   */
+  _reserve: function(kind, label, value) {
+    var candidate = label;
+    var index = 1;
+
+    while (!this._isAvailable(candidate, value)) {
+      candidate = label + '-' + ++index;
+    }
+
+    if (this._labels[normalize(candidate)] == null) {
+      this._labels[normalize(candidate)] = value;
+      this._pending.push({
+        kind: kind,
+        label: candidate,
+        value: value
+      });
+    }
+
+    return candidate;
+  }
+
+});
+
+module.exports = ReferenceManager;
+
+/**
+ * A reference to a URL from a link or image.
+ *
+ * @typedef {Object} ReferenceManager~Reference
+ * @property {string} [attributes] - The attributes for the link or image (e.g. <code>{width=100}</code>), which are
+ * output after the inline destination or within the definition.
+ * @property {string} [text] - The Markdown of the text of the link or the alternative text of the image.
+ * @property {?string} [title] - The title of the link or image.
+ * @property {string} url - The URL being referenced.
+ */
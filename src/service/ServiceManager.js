@@ -53,6 +53,19 @@ var ServiceManager = Nevis.extend(function() {
     return service;
   },
 
+  /**
+   * Returns whether a {@link Service} is being managed with the specified <code>name</code>.
+   *
+   * @param {string} name - the name of the {@link Service} to be checked
+   * @return {boolean} <code>true</code> if a {@link Service} is being managed with <code>name</code>; otherwise
+   * <code>false</code>.
+   * @public
+   * @memberof ServiceManager#
+   */
+  hasService: function(name) {
+    return this._services[name] != null;
+  },
+
   /**
    * Sets the {@link Service} implementation to be managed for the specified <code>name</code> to the
    * <code>service</code> provided.
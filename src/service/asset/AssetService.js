@@ -0,0 +1,62 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var Service = require('../Service');
+
+/**
+ * A service used to save assets which are extracted from the HTML being converted (e.g. inline SVGs) so that they can
+ * be referenced by the Markdown instead of being embedded within it.
+ *
+ * @public
+ * @class
+ * @extends Service
+ */
+var AssetService = Service.extend({
+
+  /**
+   * @override
+   */
+  getName: function() {
+    return 'asset';
+  },
+
+  /**
+   * Saves the specified <code>content</code> of an asset with the media <code>type</code> provided and returns the path
+   * (or URL) that can be used to reference it.
+   *
+   * Implementations of {@link AssetService} <b>must</b> override this method with their own specific logic.
+   *
+   * @param {string} content - the content of the asset to be saved
+   * @param {string} type - the media type of the asset (e.g. <code>"image/svg+xml"</code>)
+   * @param {Element} element - the element from which the asset was extracted
+   * @return {string} The path to the saved asset.
+   * @public
+   * @abstract
+   * @memberof AssetService#
+   */
+  saveAsset: function(content, type, element) {}
+
+});
+
+module.exports = AssetService;
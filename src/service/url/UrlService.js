@@ -0,0 +1,245 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+var DOMUtilities = require('../../util/DOMUtilities');
+var Service = require('../Service');
+var Utilities = require('../../util/Utilities');
+
+var trackingParameterNames = [
+  '_ga',
+  'dclid',
+  'fbclid',
+  'gclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  'msclkid',
+  'yclid'
+];
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    // Malformed values are left as they are
+    return value;
+  }
+}
+
+function parse(url, document) {
+  var anchor = document.createElement('a');
+  anchor.href = url;
+
+  return anchor;
+}
+
+function isSameOrigin(url, document) {
+  var anchor = parse(url, document);
+  var base = parse('', document);
+
+  return anchor.protocol === base.protocol && anchor.host === base.host;
+}
+
+function splitUrl(url) {
+  var match = url.match(/^([^?#]*)(\?[^#]*)?(#.*)?$/);
+
+  return {
+    hash: match[3] || '',
+    path: match[1],
+    query: match[2] || ''
+  };
+}
+
+/**
+ * A service used to rewrite the URLs that are output (e.g. for anchors and images) by applying each of the rewriters
+ * provided in order.
+ *
+ * A number of built-in rewriters are available as static methods on {@link UrlService}.
+ *
+ * @param {UrlService~Rewriter[]} [rewriters] - the rewriters to be applied
+ * @public
+ * @class
+ * @extends Service
+ */
+var UrlService = Service.extend(function(rewriters) {
+  this._rewriters = rewriters || [];
+}, {
+
+  /**
+   * @override
+   */
+  getName: function() {
+    return 'url';
+  },
+
+  /**
+   * Rewrites the specified <code>url</code> which is to be output within the <code>context</code> provided.
+   *
+   * The default implementation of this method applies each of the rewriters passed to the constructor in order.
+   *
+   * @param {string} url - the URL to be rewritten
+   * @param {UrlService~Context} context - the context in which <code>url</code> is being output
+   * @return {string} The rewritten URL.
+   * @public
+   * @memberof UrlService#
+   */
+  rewrite: function(url, context) {
+    return this._rewriters.reduce(function(result, rewriter) {
+      return rewriter(result, context);
+    }, url);
+  }
+
+}, {
+
+  /**
+   * Returns a rewriter which changes the extension of URLs for anchors from <code>.html</code> (or <code>.htm</code>)
+   * to <code>.md</code>, which is useful when migrating a site to Markdown.
+   *
+   * Only URLs which are relative or have the same origin as the base URI are changed.
+   *
+   * @return {UrlService~Rewriter} The rewriter.
+   * @public
+   * @static
+   * @memberof UrlService
+   */
+  htmlToMarkdown: function() {
+    return function(url, context) {
+      if (context.kind !== 'anchor' || !isSameOrigin(url, context.element.ownerDocument)) {
+        return url;
+      }
+
+      var parts = splitUrl(url);
+
+      return parts.path.replace(/\.html?$/i, '.md') + parts.query + parts.hash;
+    };
+  },
+
+  /**
+   * Returns a rewriter which replaces URLs using the specified <code>mappings</code>.
+   *
+   * URLs are matched exactly as they are or once resolved against the base URI.
+   *
+   * @param {Object.<string, string>} mappings - the URLs to be replaced mapped to their replacements
+   * @return {UrlService~Rewriter} The rewriter.
+   * @public
+   * @static
+   * @memberof UrlService
+   */
+  mapping: function(mappings) {
+    return function(url, context) {
+      if (Utilities.hasOwn(mappings, url)) {
+        return mappings[url];
+      }
+
+      var absoluteUrl = DOMUtilities.resolveUrl(url, context.element.ownerDocument);
+
+      return Utilities.hasOwn(mappings, absoluteUrl) ? mappings[absoluteUrl] : url;
+    };
+  },
+
+  /**
+   * Returns a rewriter which makes URLs relative to the specified <code>base</code> URL, where they share the same
+   * origin.
+   *
+   * @param {string} base - the base URL
+   * @return {UrlService~Rewriter} The rewriter.
+   * @public
+   * @static
+   * @memberof UrlService
+   */
+  relativeTo: function(base) {
+    return function(url, context) {
+      var document = context.element.ownerDocument;
+      var baseAnchor = parse(base, document);
+      var anchor = parse(url, document);
+
+      if (!/^https?:$/.test(anchor.protocol) || anchor.protocol !== baseAnchor.protocol ||
+        anchor.host !== baseAnchor.host) {
+        return url;
+      }
+
+      var baseSegments = baseAnchor.pathname.split('/').slice(0, -1);
+      var segments = anchor.pathname.split('/');
+      var i = 0;
+
+      while (i < baseSegments.length && i < segments.length - 1 && baseSegments[i] === segments[i]) {
+        i++;
+      }
+
+      var path = Utilities.leftPad('', baseSegments.length - i, '../') + segments.slice(i).join('/');
+
+      return (path || './') + anchor.search + anchor.hash;
+    };
+  },
+
+  /**
+   * Returns a rewriter which removes any query parameters that are commonly used for tracking (e.g.
+   * <code>utm_source</code> and <code>fbclid</code>) from URLs.
+   *
+   * @param {string[]} [names] - the names of any additional query parameters to be removed
+   * @return {UrlService~Rewriter} The rewriter.
+   * @public
+   * @static
+   * @memberof UrlService
+   */
+  stripTrackingParameters: function(names) {
+    names = trackingParameterNames.concat(names || []);
+
+    return function(url) {
+      var parts = splitUrl(url);
+      if (!parts.query) {
+        return url;
+      }
+
+      var query = parts.query.substring(1).split('&').filter(function(parameter) {
+        var name = decode(parameter.split('=')[0]).toLowerCase();
+
+        return parameter && !/^utm_/.test(name) && names.indexOf(name) === -1;
+      }).join('&');
+
+      return parts.path + (query ? '?' + query : '') + parts.hash;
+    };
+  }
+
+});
+
+module.exports = UrlService;
+
+/**
+ * The context in which a URL is being output.
+ *
+ * @typedef {Object} UrlService~Context
+ * @property {Element} element - the element from which the URL was extracted
+ * @property {string} kind - the kind of URL (i.e. <code>"anchor"</code>, <code>"frame"</code>, <code>"image"</code>,
+ * or <code>"media"</code>)
+ */
+
+/**
+ * Called to rewrite a URL.
+ *
+ * @callback UrlService~Rewriter
+ * @param {string} url - the URL to be rewritten
+ * @param {UrlService~Context} context - the context in which <code>url</code> is being output
+ * @return {string} The rewritten URL.
+ */
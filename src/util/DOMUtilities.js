@@ -33,6 +33,28 @@ var Nevis = require('nevis/lite');
  */
 var DOMUtilities = Nevis.extend(null, {
 
+  /**
+   * Returns the closest ancestor of the specified <code>element</code>, including <code>element</code> itself, which
+   * matches the <code>selector</code> provided.
+   *
+   * @param {Element} element - the element whose closest matching ancestor is to be returned
+   * @param {string} selector - the CSS selector to be matched
+   * @return {Element} The closest ancestor of <code>element</code> which matches <code>selector</code> or
+   * <code>null</code> if there is none.
+   * @public
+   * @static
+   * @memberof DOMUtilities
+   */
+  closest: function(element, selector) {
+    for (; element && element.nodeType === 1; element = element.parentNode) {
+      if (DOMUtilities.matches(element, selector)) {
+        return element;
+      }
+    }
+
+    return null;
+  },
+
   /**
    * Checks whether the specified <code>element</code> is currently visible using the <code>window</code> provided.
    *
@@ -47,11 +69,49 @@ var DOMUtilities = Nevis.extend(null, {
    * @memberof DOMUtilities
    */
   isVisible: function(element, window) {
+    // Elements outside of the HTML namespace (e.g. MathML) may not support styles in all environments
+    if (element.style == null) {
+      return true;
+    }
+
     var style = window.getComputedStyle(element);
 
     return style.getPropertyValue('display') !== 'none' && style.getPropertyValue('visibility') !== 'hidden';
-  }
+  },
+
+  /**
+   * Checks whether the specified <code>element</code> matches the <code>selector</code> provided.
+   *
+   * @param {Element} element - the element to be checked
+   * @param {string} selector - the CSS selector to be matched
+   * @return {boolean} <code>true</code> if <code>element</code> matches <code>selector</code>; otherwise
+   * <code>false</code>.
+   * @public
+   * @static
+   * @memberof DOMUtilities
+   */
+  matches: function(element, selector) {
+    var matches = element.matches || element.msMatchesSelector || element.webkitMatchesSelector;
 
+    return matches.call(element, selector);
+  },
+
+  /**
+   * Resolves the specified <code>url</code> against the base URI of the <code>document</code> provided.
+   *
+   * @param {string} url - the URL to be resolved
+   * @param {Document} document - the document to be used
+   * @return {string} The absolute URL.
+   * @public
+   * @static
+   * @memberof DOMUtilities
+   */
+  resolveUrl: function(url, document) {
+    var anchor = document.createElement('a');
+    anchor.href = url;
+
+    return anchor.href;
+  }
 });
 
 module.exports = DOMUtilities;